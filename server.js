@@ -7,6 +7,13 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const { spawn } = require('child_process');
+const busboy = require('busboy');
+const { XMLParser } = require('fast-xml-parser');
+const archiver = require('archiver');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,6 +22,66 @@ const PORT = process.env.PORT || 3000;
 const TEMP_DIR = process.env.TEMP_DIR || '/tmp/getv-ffmpeg';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 500 * 1024 * 1024; // 500MB
 
+// 下载重试与超时
+const DOWNLOAD_RETRIES = parseInt(process.env.DOWNLOAD_RETRIES) || 3;
+const DOWNLOAD_IDLE_TIMEOUT = parseInt(process.env.DOWNLOAD_IDLE_TIMEOUT) || 30000;
+const MAX_REDIRECTS = parseInt(process.env.MAX_REDIRECTS) || 5;
+
+// HLS / DASH 分片并行下载数
+const MANIFEST_CONCURRENCY = parseInt(process.env.MANIFEST_CONCURRENCY) || 4;
+
+// URL 策略：主机白名单 / 黑名单（逗号分隔，匹配子域名），是否允许访问内网地址
+const parseHostList = value => (value || '').split(',').map(h => h.trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+const URL_ALLOW_HOSTS = parseHostList(process.env.URL_ALLOW_HOSTS);
+const URL_DENY_HOSTS = parseHostList(process.env.URL_DENY_HOSTS);
+const ALLOW_PRIVATE_NETWORKS = process.env.ALLOW_PRIVATE_NETWORKS === 'true';
+
+// 任务持久化：file（默认，JSON 文件）| memory
+const TASK_STORE = process.env.TASK_STORE || 'file';
+const TASK_STORE_FILE = process.env.TASK_STORE_FILE || path.join(TEMP_DIR, 'tasks.json');
+// 重启时未完成任务的处理方式：interrupt（标记中断）| requeue（重新执行）
+const TASK_RECOVERY = process.env.TASK_RECOVERY || 'interrupt';
+
+// 任务队列：网络下载与 CPU 转码分别限制并发
+const DOWNLOAD_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 3;
+const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE) || 50;
+
+// yt-dlp 可用的提取器（即 --use-extractors）：all（默认）或逗号分隔的提取器名，可用 -name 排除，generic 为通用网页提取器
+const YTDLP_EXTRACTORS = (process.env.YTDLP_EXTRACTORS || 'all').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+// 结果缓存：RESULT_CACHE=off 关闭，CACHE_MAX_SIZE 为缓存总大小上限（LRU 淘汰）
+const RESULT_CACHE = process.env.RESULT_CACHE !== 'off';
+const CACHE_MAX_SIZE = parseInt(process.env.CACHE_MAX_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+const CACHE_DIR = path.join(TEMP_DIR, 'cache');
+
+// 播放列表：单页解析与批量任务最多的条目数
+const PLAYLIST_MAX_ENTRIES = parseInt(process.env.PLAYLIST_MAX_ENTRIES) || 200;
+
+// 对外访问地址（用于回调中的文件链接），未配置时使用请求的 Host
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// 任务回调
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+
+// 回调中签名下载地址的有效期（秒）与签名密钥，未配置密钥时每次启动随机生成（重启后旧地址失效）
+const DOWNLOAD_LINK_TTL = parseInt(process.env.DOWNLOAD_LINK_TTL) || 2 * 60 * 60;
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+// /metrics 访问令牌（Authorization: Bearer）；配置了 API Key 时也接受任一有效 Key，令牌与 API Key 都未配置时不校验
+// /metrics 访问令牌（Authorization: Bearer），未配置时不校验
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// 文字水印默认字体（fontconfig 字体名）
+const WATERMARK_FONT = process.env.WATERMARK_FONT || 'Noto Sans CJK SC';
+
+// API Key 配置：API_KEYS（JSON）或 API_KEYS_FILE（JSON 文件路径），未配置时不鉴权
+// { "<key>": { name, rateLimit, maxConcurrentTasks, maxFileSize, actions } }
+const API_KEYS_CONFIG = process.env.API_KEYS_FILE
+  ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')
+  : process.env.API_KEYS;
+
 // 确保临时目录存在
 if (!fs.existsSync(TEMP_DIR)) {
   fs.mkdirSync(TEMP_DIR, { recursive: true });
@@ -30,888 +97,5540 @@ app.use((req, res, next) => {
   next();
 });
 
-/**
- * 检测是否需要使用 yt-dlp 下载（仅限 YouTube 页面 URL，不包括直链）
- */
-function needsYtdlp(url) {
-  return (url.includes('youtube.com/watch') ||
-    url.includes('youtu.be/')) &&
-    !url.includes('googlevideo.com');
-}
+// ==================== 监控指标 ====================
 
 /**
- * 使用 yt-dlp 下载文件
+ * Prometheus 指标（文本格式 0.0.4）
+ * counter / gauge 按标签组合保存数值；histogram 保存累计桶计数、总和与次数
+ * collect(metric) 在抓取时调用，用于从当前状态重新计算的仪表
  */
-async function downloadWithYtdlp(url, outputPath) {
-  return new Promise((resolve, reject) => {
-    console.log(`[ytdlp] 下载: ${url.substring(0, 100)}...`);
-
-    const ytdlp = spawn('yt-dlp', [
-      '-f', 'best',
-      '--no-warnings',
-      '--no-playlist',
-      '-o', outputPath,
-      url
-    ]);
-
-    let stderr = '';
-
-    ytdlp.stdout.on('data', (data) => {
-      const msg = data.toString();
-      if (msg.includes('[download]')) {
-        console.log(`[ytdlp] ${msg.trim()}`);
-      }
-    });
-
-    ytdlp.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
-
-    ytdlp.on('error', (err) => {
-      console.error('[ytdlp] 错误:', err.message);
-      reject(new Error(`yt-dlp 启动失败: ${err.message}`));
-    });
+const metricRegistry = [];
 
-    ytdlp.on('close', (code) => {
-      if (code === 0) {
-        console.log(`[ytdlp] 下载完成: ${outputPath}`);
-        resolve(outputPath);
-      } else {
-        reject(new Error(`yt-dlp 失败 (code ${code}): ${stderr}`));
-      }
-    });
-  });
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
 }
 
-/**
- * 下载文件到临时目录
- * 自动检测 URL 类型，YouTube URL 使用 yt-dlp 下载
- */
-async function downloadFile(url, filename, headers = {}) {
-  const filePath = path.join(TEMP_DIR, filename);
-
-  // 检测是否需要使用 yt-dlp
-  if (needsYtdlp(url)) {
-    return downloadWithYtdlp(url, filePath);
-  }
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
 
-  // 普通 URL 使用 http/https 下载
-  const protocol = url.startsWith('https') ? https : http;
+function createMetric(type, name, help, { buckets = [], collect } = {}) {
+  const series = new Map();
 
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(filePath);
-    let downloaded = 0;
+  const get = (labels) => {
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+      series.set(key, type === 'histogram'
+        ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return series.get(key);
+  };
 
-    const request = protocol.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        ...headers,
-      }
-    }, (response) => {
-      // 处理重定向
-      if (response.statusCode === 301 || response.statusCode === 302) {
-        file.close();
-        fs.unlinkSync(filePath);
-        downloadFile(response.headers.location, filename, headers).then(resolve).catch(reject);
-        return;
+  const metric = {
+    inc(labels = {}, value = 1) {
+      get(labels).value += value;
+    },
+    set(labels, value) {
+      get(labels).value = value;
+    },
+    observe(labels, value) {
+      const item = get(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) item.counts[i]++;
+      });
+      item.sum += value;
+      item.count++;
+    },
+    render() {
+      if (collect) {
+        series.clear();
+        collect(metric);
       }
-
-      if (response.statusCode !== 200) {
-        file.close();
-        fs.unlinkSync(filePath);
-        reject(new Error(`HTTP ${response.statusCode}`));
-        return;
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const item of series.values()) {
+        if (type !== 'histogram') {
+          lines.push(`${name}${formatLabels(item.labels)} ${item.value}`);
+          continue;
+        }
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...item.labels, le: bound })} ${item.counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...item.labels, le: '+Inf' })} ${item.count}`);
+        lines.push(`${name}_sum${formatLabels(item.labels)} ${item.sum}`);
+        lines.push(`${name}_count${formatLabels(item.labels)} ${item.count}`);
       }
+      return lines.join('\n');
+    },
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
 
-      response.pipe(file);
+// 运行中的外部进程数
+const activeProcesses = { ffmpeg: 0, 'yt-dlp': 0 };
 
-      response.on('data', (chunk) => {
-        downloaded += chunk.length;
-        if (downloaded > MAX_FILE_SIZE) {
-          file.close();
-          fs.unlinkSync(filePath);
-          reject(new Error('文件大小超过限制'));
-        }
-      });
+// TEMP_DIR 占用空间：遍历目录开销大，只在启动时与每小时清理后统计（见 measureTempDir）
+let tempDirBytes = 0;
 
-      file.on('finish', () => {
-        file.close();
-        resolve(filePath);
-      });
-    });
+function measureTempDir() {
+  try {
+    tempDirBytes = directorySize(TEMP_DIR);
+  } catch (e) {
+    // 统计过程中文件被删除，沿用上次的结果
+  }
+}
 
-    request.on('error', (err) => {
-      file.close();
-      try { fs.unlinkSync(filePath); } catch { }
-      reject(err);
-    });
+const metrics = {
+  httpRequests: createMetric('counter', 'getv_http_requests_total', 'HTTP 请求数'),
+  httpDuration: createMetric('histogram', 'getv_http_request_duration_seconds', 'HTTP 请求耗时（秒）', {
+    buckets: [0.05, 0.1, 0.5, 1, 5, 15, 60, 300],
+  }),
+  httpResponseBytes: createMetric('counter', 'getv_http_response_bytes_total', '返回给客户端的字节数'),
+  downloadedBytes: createMetric('counter', 'getv_downloaded_bytes_total', '下载的远程输入字节数'),
+  tasks: createMetric('counter', 'getv_tasks_total', '已结束的异步任务数'),
+  taskDuration: createMetric('histogram', 'getv_task_duration_seconds', '异步任务处理耗时（秒，从开始处理到结束）', {
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+  }),
+  taskStatus: createMetric('gauge', 'getv_tasks', '当前任务数', {
+    collect: metric => [...tasks.values()].forEach(task => metric.inc({ status: task.status })),
+  }),
+  queueDepth: createMetric('gauge', 'getv_queue_depth', '排队等待槽位的任务数', {
+    collect: metric => Object.values(pools).forEach(pool => metric.set({ pool: pool.name }, pool.size)),
+  }),
+  poolActive: createMetric('gauge', 'getv_queue_active', '占用槽位的任务数', {
+    collect: metric => Object.values(pools).forEach(pool => metric.set({ pool: pool.name }, pool.active)),
+  }),
+  processes: createMetric('gauge', 'getv_active_processes', '运行中的 ffmpeg / yt-dlp 进程数', {
+    collect: metric => Object.entries(activeProcesses).forEach(([type, count]) => metric.set({ type }, count)),
+  }),
+  cacheEntries: createMetric('gauge', 'getv_cache_entries', '结果缓存条目数', {
+    collect: metric => metric.set({}, cacheStats().entries),
+  }),
+  cacheBytes: createMetric('gauge', 'getv_cache_bytes', '结果缓存总大小（字节）', {
+    collect: metric => metric.set({}, cacheStats().size),
+  }),
+  tempDirBytes: createMetric('gauge', 'getv_temp_dir_bytes', 'TEMP_DIR 占用空间（字节，含缓存，每小时统计）', {
+    collect: metric => metric.set({}, tempDirBytes),
+  }),
+  tempDirFreeBytes: createMetric('gauge', 'getv_temp_dir_free_bytes', 'TEMP_DIR 所在磁盘的可用空间（字节）', {
+    collect: (metric) => {
+      if (!fs.statfsSync) return;
+      const { bavail, bsize } = fs.statfsSync(TEMP_DIR);
+      metric.set({}, bavail * bsize);
+    },
+  }),
+};
+
+function renderMetrics() {
+  return `${metricRegistry.map(metric => metric.render()).join('\n')}\n`;
+}
 
-    // 设置超时
-    request.setTimeout(30000, () => {
-      request.destroy();
-      reject(new Error('下载超时'));
-    });
-  });
+/**
+ * 统计运行中的 ffmpeg 进程（start 到 end / error）
+ */
+function countFfmpegProcess(command) {
+  let running = false;
+  const stop = () => {
+    if (!running) return;
+    running = false;
+    activeProcesses.ffmpeg--;
+  };
+  return command
+    .on('start', () => {
+      running = true;
+      activeProcesses.ffmpeg++;
+    })
+    .on('end', stop)
+    .on('error', stop);
 }
 
 /**
- * 清理临时文件
+ * 统计运行中的 yt-dlp 进程
  */
-function cleanupFiles(...files) {
-  files.forEach(file => {
-    try {
-      if (file && fs.existsSync(file)) {
-        fs.unlinkSync(file);
-      }
-    } catch (e) {
-      console.error('清理文件失败:', e.message);
-    }
-  });
+function countYtdlpProcess(child) {
+  activeProcesses['yt-dlp']++;
+  let exited = false;
+  const exit = () => {
+    if (exited) return;
+    exited = true;
+    activeProcesses['yt-dlp']--;
+  };
+  return child.on('error', exit).on('close', exit);
 }
 
-// ==================== API 端点 ====================
+/**
+ * 任务结束时记录数量与处理耗时；批量父任务的 action 记为 batch
+ */
+function recordTaskMetrics(task) {
+  const action = isBatchRequest(task.request) ? 'batch' : (task.request && task.request.action) || 'download';
+  metrics.tasks.inc({ action, status: task.status });
+  if (task.startedAt) {
+    metrics.taskDuration.observe({ action, status: task.status }, (Date.now() - task.startedAt) / 1000);
+  }
+}
 
 /**
- * 健康检查
+ * 请求指标中间件：路由取匹配到的模板（如 /task/:taskId），未匹配的记为 unmatched
+ * 响应字节数按连接写出的字节差计算（含响应头）
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    ffmpeg: true,
-    ytdlp: true,
-    timestamp: new Date().toISOString()
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  const socket = req.socket;
+  const written = socket.bytesWritten;
+
+  res.on('close', () => {
+    const labels = { method: req.method, route: req.route ? req.baseUrl + req.route.path : 'unmatched' };
+    metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+    metrics.httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    metrics.httpResponseBytes.inc(labels, socket.bytesWritten - written);
   });
+  next();
 });
 
+// ==================== 鉴权与限流 ====================
+
 /**
- * 解析视频信息
- * POST /parse
- * Body: { url }
- * 使用 yt-dlp ��取视频元数据和下载链接
+ * 解析 API Key 配置
+ * rateLimit: 每分钟请求数；maxConcurrentTasks: 同时未结束的异步任务数；actions: 允许的操作，null 为全部
  */
-app.post('/parse', async (req, res) => {
-  const { url } = req.body;
-
-  if (!url) {
-    return res.status(400).json({ success: false, error: '缺少 url' });
+function loadApiKeys(raw) {
+  const keys = new Map();
+  if (!raw) return keys;
+
+  for (const [key, options] of Object.entries(JSON.parse(raw))) {
+    keys.set(key, {
+      // 限流、并发计数与任务归属按 id（Key 的哈希）区分，name 只用于展示，可以重复
+      id: crypto.createHash('sha256').update(key).digest('hex'),
+      name: options.name || key.substring(0, 8),
+      rateLimit: options.rateLimit || 60,
+      maxConcurrentTasks: options.maxConcurrentTasks || 5,
+      maxFileSize: options.maxFileSize || MAX_FILE_SIZE,
+      actions: options.actions || null,
+    });
   }
+  return keys;
+}
 
-  console.log(`[Parse] 解析: ${url.substring(0, 100)}...`);
+const apiKeys = loadApiKeys(API_KEYS_CONFIG);
 
-  try {
-    // 使用 yt-dlp 获取视频信息（JSON 格式）
-    const info = await new Promise((resolve, reject) => {
-      const ytdlp = spawn('yt-dlp', [
-        '--no-warnings',
-        '--no-playlist',
-        '--dump-json',
-        '-f', 'bestvideo+bestaudio/best',
-        url
-      ]);
+/**
+ * 每个 Key 的限流窗口（固定 1 分钟窗口）: id => { start, count }
+ */
+const rateWindows = new Map();
 
-      let stdout = '';
-      let stderr = '';
+function extractApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
 
-      ytdlp.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+/**
+ * 结果下载签名：HMAC_SHA256(DOWNLOAD_LINK_SECRET, `${taskId}.${expires}`)
+ */
+function downloadSignature(taskId, expires) {
+  return crypto.createHmac('sha256', DOWNLOAD_LINK_SECRET).update(`${taskId}.${expires}`).digest('hex');
+}
 
-      ytdlp.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+/**
+ * 带签名的结果下载地址（回调中使用），无需 API Key，DOWNLOAD_LINK_TTL 秒后过期
+ */
+function signedFileUrl(baseUrl, taskId) {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_LINK_TTL;
+  return `${baseUrl}/task/${taskId}/file?expires=${expires}&signature=${downloadSignature(taskId, expires)}`;
+}
 
-      ytdlp.on('error', (err) => {
-        reject(new Error(`yt-dlp 启动失败: ${err.message}`));
-      });
+/**
+ * 是否为签名有效且未过期的 GET /task/:taskId/file 请求
+ */
+function isSignedDownload(req) {
+  const match = /^\/task\/([^/]+)\/file$/.exec(req.path);
+  const { expires, signature } = req.query;
+  if (req.method !== 'GET' || !match || typeof expires !== 'string' || typeof signature !== 'string') return false;
+  if (!(parseInt(expires) * 1000 > Date.now())) return false;
+
+  const expected = Buffer.from(downloadSignature(match[1], expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
-      ytdlp.on('close', (code) => {
-        if (code === 0) {
-          try {
-            resolve(JSON.parse(stdout));
-          } catch (e) {
-            reject(new Error('解析 JSON 失败'));
-          }
-        } else {
-          reject(new Error(`yt-dlp 失败: ${stderr}`));
-        }
-      });
-    });
+/**
+ * 鉴权中间件（/health、/metrics（自行校验）与签名下载地址除外）
+ * 设置 req.apiKey（未启用鉴权时为 null）与 req.maxFileSize
+ */
+app.use((req, res, next) => {
+  req.apiKey = null;
+  req.maxFileSize = MAX_FILE_SIZE;
 
-    // 构建格式列表
-    const formats = [];
+  if (!apiKeys.size || req.path === '/health' || req.path === '/metrics' || isSignedDownload(req)) return next();
 
-    // 添加渐进式格式（视频+音频）
-    if (info.formats) {
-      // 合并格式（有视频有音频）
-      const mergedFormats = info.formats.filter(f =>
-        f.vcodec !== 'none' && f.acodec !== 'none' && f.url
-      );
+  const key = extractApiKey(req);
+  if (!key) {
+    return res.status(401).json({ error: '缺少 API Key' });
+  }
+  const config = apiKeys.get(key);
+  if (!config) {
+    return res.status(401).json({ error: 'API Key 无效' });
+  }
 
-      // 仅视频格式
-      const videoOnlyFormats = info.formats.filter(f =>
-        f.vcodec !== 'none' && (f.acodec === 'none' || !f.acodec) && f.url
-      );
+  req.apiKey = config;
+  req.maxFileSize = config.maxFileSize;
 
-      // 仅音频格式
-      const audioOnlyFormats = info.formats.filter(f =>
-        (f.vcodec === 'none' || !f.vcodec) && f.acodec !== 'none' && f.url
-      );
+  // 查询任务状态与订阅事件是只读的，轮询不占用处理请求的限流额度
+  if (req.method === 'GET' && /^\/task\/[^/]+(\/events)?$/.test(req.path)) return next();
 
-      // 处理合并格式
-      for (const f of mergedFormats) {
-        const quality = f.format_note || f.height ? `${f.height}p` : 'default';
-        formats.push({
-          id: f.format_id || `merged-${f.height}`,
-          quality,
-          format: f.ext || 'mp4',
-          size: f.filesize || f.filesize_approx,
-          sizeText: f.filesize ? formatBytes(f.filesize) : (f.filesize_approx ? formatBytes(f.filesize_approx) : undefined),
-          url: f.url,
-          hasVideo: true,
-          hasAudio: true,
-          bitrate: f.tbr,
-        });
-      }
+  const now = Date.now();
+  let window = rateWindows.get(config.id);
+  if (!window || now - window.start >= 60000) {
+    window = { start: now, count: 0 };
+    rateWindows.set(config.id, window);
+  }
+  if (window.count >= config.rateLimit) {
+    res.set('Retry-After', String(Math.ceil((window.start + 60000 - now) / 1000)));
+    return res.status(429).json({ error: '请求过于频繁' });
+  }
+  window.count++;
+  next();
+});
 
-      // 处理仅视频格式
-      for (const f of videoOnlyFormats) {
-        const quality = f.format_note || f.height ? `${f.height}p` : 'default';
-        formats.push({
-          id: f.format_id || `video-${f.height}`,
-          quality,
-          format: f.ext || 'mp4',
-          size: f.filesize || f.filesize_approx,
-          sizeText: f.filesize ? formatBytes(f.filesize) : (f.filesize_approx ? formatBytes(f.filesize_approx) : undefined),
-          url: f.url,
-          hasVideo: true,
-          hasAudio: false,
-          bitrate: f.tbr,
-          codec: f.vcodec,
-          fps: f.fps,
-        });
-      }
+/**
+ * 检查当前 Key 是否允许执行该操作
+ */
+function isActionAllowed(req, action) {
+  return !req.apiKey || !req.apiKey.actions || req.apiKey.actions.includes(action);
+}
 
-      // 处理仅音频格式（取最高音质）
-      const bestAudio = audioOnlyFormats.sort((a, b) => (b.tbr || 0) - (a.tbr || 0))[0];
-      if (bestAudio) {
-        formats.push({
-          id: bestAudio.format_id || 'audio-best',
-          quality: `音频 (${Math.round((bestAudio.tbr || 0) / 1000)}kbps)`,
-          format: bestAudio.ext || 'm4a',
-          size: bestAudio.filesize || bestAudio.filesize_approx,
-          sizeText: bestAudio.filesize ? formatBytes(bestAudio.filesize) : undefined,
-          url: bestAudio.url,
-          hasVideo: false,
-          hasAudio: true,
-          bitrate: bestAudio.tbr,
-        });
-      }
+/**
+ * 路由级操作权限
+ */
+function allowAction(action) {
+  return (req, res, next) => {
+    if (!isActionAllowed(req, action)) {
+      return res.status(403).json({ error: `无权执行操作: ${action}` });
     }
+    next();
+  };
+}
 
-    // 按画质排序
-    formats.sort((a, b) => {
-      const qualityOrder = ['2160p', '1440p', '1080p', '720p', '480p', '360p', '240p', '144p'];
-      const aIndex = qualityOrder.indexOf(a.quality);
-      const bIndex = qualityOrder.indexOf(b.quality);
-      return aIndex - bIndex;
-    });
-
-    console.log(`[Parse] 成功, 标题: ${info.title}, 格式数: ${formats.length}`);
+// ==================== 站点识别 ====================
 
-    res.json({
-      success: true,
-      data: {
-        id: info.id,
-        platform: 'youtube',
-        title: info.title || '未知标题',
-        description: info.description,
-        thumbnail: info.thumbnail,
-        duration: info.duration,
-        durationText: formatDuration(info.duration),
-        author: info.uploader || info.channel,
-        formats,
-        originalUrl: url,
-        parsedAt: Date.now(),
-      }
-    });
+/**
+ * 交给 yt-dlp 解析的站点：platform 为对外的平台名，hosts 同时匹配子域名
+ */
+const SITES = [
+  { platform: 'youtube', name: 'YouTube', hosts: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'] },
+  { platform: 'bilibili', name: 'Bilibili', hosts: ['bilibili.com', 'b23.tv'] },
+  { platform: 'vimeo', name: 'Vimeo', hosts: ['vimeo.com'] },
+  { platform: 'twitter', name: 'Twitter / X', hosts: ['twitter.com', 'x.com'] },
+  { platform: 'tiktok', name: 'TikTok', hosts: ['tiktok.com'] },
+  { platform: 'douyin', name: '抖音', hosts: ['douyin.com'] },
+  { platform: 'instagram', name: 'Instagram', hosts: ['instagram.com'] },
+  { platform: 'facebook', name: 'Facebook', hosts: ['facebook.com', 'fb.watch'] },
+  { platform: 'twitch', name: 'Twitch', hosts: ['twitch.tv'] },
+  { platform: 'dailymotion', name: 'Dailymotion', hosts: ['dailymotion.com', 'dai.ly'] },
+  { platform: 'reddit', name: 'Reddit', hosts: ['reddit.com', 'redd.it'] },
+  { platform: 'soundcloud', name: 'SoundCloud', hosts: ['soundcloud.com'] },
+];
+
+// 内置站点按 YTDLP_EXTRACTORS 启用：未启用站点的页面直接拒绝，不再交给 yt-dlp
+const ENABLED_PLATFORMS = SITES.map(site => site.platform).filter(platform =>
+  (YTDLP_EXTRACTORS.includes('all') || YTDLP_EXTRACTORS.includes(platform)) && !YTDLP_EXTRACTORS.includes(`-${platform}`)
+);
+
+// 每次调用 yt-dlp 都带上提取器过滤，其他网页是否支持由 yt-dlp 判断
+const YTDLP_EXTRACTOR_ARGS = YTDLP_EXTRACTORS.length === 1 && YTDLP_EXTRACTORS[0] === 'all'
+  ? []
+  : ['--use-extractors', YTDLP_EXTRACTORS.join(',')];
+
+// 直链的文件扩展名（即使位于站点域名下也直接下载）
+const MEDIA_EXTENSIONS = ['mp4', 'm4v', 'mov', 'webm', 'mkv', 'avi', 'flv', 'ts', 'm3u8', 'mpd', 'mp3', 'm4a', 'aac', 'wav', 'flac', 'ogg', 'opus', 'jpg', 'jpeg', 'png', 'gif', 'webp', 'vtt', 'srt', 'ass'];
 
-  } catch (error) {
-    console.error('[Parse] 错误:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+/**
+ * 是否为媒体直链（按路径扩展名判断）
+ */
+function isDirectMediaUrl(url) {
+  try {
+    return MEDIA_EXTENSIONS.includes(path.extname(new URL(url).pathname).slice(1).toLowerCase());
+  } catch {
+    return false;
   }
-});
+}
 
 /**
- * 格式化字节
+ * 识别 URL 所属站点：{ platform, name, hosts, enabled }，直链与未知站点返回 null
  */
-function formatBytes(bytes) {
-  if (!bytes) return undefined;
-  if (bytes < 1024) return bytes + ' B';
-  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-  if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
-  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+function detectSite(url) {
+  if (isDirectMediaUrl(url)) return null;
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const site = SITES.find(item => matchesHost(host, item.hosts));
+  return site ? { ...site, enabled: ENABLED_PLATFORMS.includes(site.platform) } : null;
 }
 
 /**
- * 格式化时长
+ * 检测是否直接使用 yt-dlp 下载：已启用内置站点的页面 URL
+ * 其他 URL 先按直链下载，返回网页时再交给 yt-dlp（见 downloadFile）
  */
-function formatDuration(seconds) {
-  if (!seconds) return '0:00';
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = Math.floor(seconds % 60);
-  if (h > 0) {
-    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
-  }
-  return `${m}:${s.toString().padStart(2, '0')}`;
+function needsYtdlp(url) {
+  const site = detectSite(url);
+  return site ? site.enabled : false;
 }
 
 /**
- * 获取 FFmpeg 版本信息
+ * 拒绝未启用站点的页面 URL（403），返回识别到的站点
  */
-app.get('/info', (req, res) => {
-  ffmpeg.ffprobe(null, (err, data) => {
-    res.json({
-      service: 'getv-ffmpeg',
-      version: '1.0.0',
-      ffmpegAvailable: true
-    });
-  });
-});
+function assertSiteEnabled(url) {
+  const site = detectSite(url);
+  if (site && !site.enabled) throw policyError(`站点未启用: ${site.name}`);
+  return site;
+}
 
 /**
- * 合并音视频
- * POST /merge
- * Body: { videoUrl, audioUrl, outputFormat }
+ * yt-dlp 返回信息对应的平台名：内置站点用表中的名称，其他取提取器名（如 niconico、generic）
  */
-app.post('/merge', async (req, res) => {
-  const { videoUrl, audioUrl, outputFormat = 'mp4' } = req.body;
-
-  if (!videoUrl || !audioUrl) {
-    return res.status(400).json({ error: '缺少 videoUrl 或 audioUrl' });
-  }
+function sitePlatform(site, info) {
+  if (site) return site.platform;
+  return String(info.extractor_key || info.extractor || 'generic').split(':')[0].toLowerCase();
+}
 
-  const taskId = uuidv4();
-  const videoFile = path.join(TEMP_DIR, `${taskId}_video`);
-  const audioFile = path.join(TEMP_DIR, `${taskId}_audio`);
-  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${outputFormat}`);
+// ==================== URL 策略 ====================
 
-  try {
-    console.log(`[Merge] 开始下载文件, taskId: ${taskId}`);
+/**
+ * 禁止访问的地址段：私有网络、回环、链路本地、组播、保留地址等
+ */
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
 
-    // 并行下载视频和音频
-    await Promise.all([
-      downloadFile(videoUrl, `${taskId}_video`),
-      downloadFile(audioUrl, `${taskId}_audio`)
-    ]);
+/**
+ * URL 策略错误（403，不可重试）
+ */
+function policyError(message) {
+  const err = new Error(message);
+  err.statusCode = 403;
+  err.retryable = false;
+  return err;
+}
 
-    console.log(`[Merge] 文件下载完成，开始合并`);
+function matchesHost(host, rules) {
+  return rules.some(rule => host === rule || host.endsWith(`.${rule}`));
+}
 
-    // 合并音视频
-    await new Promise((resolve, reject) => {
-      ffmpeg(videoFile)
-        .input(audioFile)
-        .outputOptions([
-          '-c:v copy',           // 视频直接复制
-          '-c:a aac',            // 音频转 AAC
-          '-map 0:v:0',          // 使用第一个输入的视频
-          '-map 1:a:0',          // 使用第二个输入的音频
-          '-shortest'            // 以最短的流为准
-        ])
-        .output(outputFile)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
-    });
+function isBlockedAddress(ip) {
+  if (ALLOW_PRIVATE_NETWORKS) return false;
+  // IPv4 映射的 IPv6 地址按 IPv4 检查
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) ip = mapped[1];
+  return blockedAddresses.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
 
-    console.log(`[Merge] 合并完成，返回文件`);
+/**
+ * 同步校验 URL：协议、主机名单、IP 字面量
+ */
+function assertUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw policyError('URL 无效');
+  }
 
-    // 返回文件
-    res.download(outputFile, `merged.${outputFormat}`, (err) => {
-      cleanupFiles(videoFile, audioFile, outputFile);
-      if (err) console.error('发送文件失败:', err);
-    });
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw policyError(`不支持的协议: ${parsed.protocol}`);
+  }
 
-  } catch (error) {
-    console.error('[Merge] 错误:', error);
-    cleanupFiles(videoFile, audioFile, outputFile);
-    res.status(500).json({ error: error.message });
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (matchesHost(host, URL_DENY_HOSTS)) {
+    throw policyError(`禁止访问的主机: ${host}`);
+  }
+  if (URL_ALLOW_HOSTS.length && !matchesHost(host, URL_ALLOW_HOSTS)) {
+    throw policyError(`主机不在允许列表中: ${host}`);
+  }
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw policyError(`禁止访问内网地址: ${host}`);
   }
-});
+
+  return host;
+}
 
 /**
- * 视频剪辑
- * POST /trim
- * Body: { videoUrl, startTime, endTime, outputFormat }
+ * 完整校验 URL（含 DNS 解析），用于交给 yt-dlp 等无法控制连接的场景
  */
-app.post('/trim', async (req, res) => {
-  const { videoUrl, startTime, endTime, outputFormat = 'mp4' } = req.body;
+async function checkUrl(url) {
+  const host = assertUrlAllowed(url);
+  if (net.isIP(host)) return;
 
-  if (!videoUrl) {
-    return res.status(400).json({ error: '缺少 videoUrl' });
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw policyError(`无法解析主机: ${host}`);
   }
 
-  if (startTime === undefined || endTime === undefined) {
-    return res.status(400).json({ error: '缺少 startTime 或 endTime' });
+  const blocked = addresses.find(a => isBlockedAddress(a.address));
+  if (blocked) {
+    throw policyError(`禁止访问内网地址: ${host} (${blocked.address})`);
   }
+}
 
-  const taskId = uuidv4();
-  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${outputFormat}`);
-
-  try {
-    console.log(`[Trim] 开始下载文件, taskId: ${taskId}`);
+/**
+ * http(s).get 的 lookup：校验实际连接的地址，重定向与 DNS rebinding 同样生效
+ */
+function policyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      return callback(policyError(`禁止访问内网地址: ${hostname} (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
 
-    await downloadFile(videoUrl, `${taskId}_input`);
+// ==================== 进度解析 ====================
 
-    console.log(`[Trim] 下载完成，开始剪辑 ${startTime} - ${endTime}`);
+const SIZE_UNITS = {
+  B: 1,
+  KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4,
+  KB: 1000, MB: 1000 ** 2, GB: 1000 ** 3, TB: 1000 ** 4,
+};
 
-    await new Promise((resolve, reject) => {
-      ffmpeg(inputFile)
-        .setStartTime(startTime)
-        .setDuration(endTime - startTime)
-        .outputOptions([
-          '-c copy',             // 直接复制，不重新编码
-          '-avoid_negative_ts', 'make_zero'
-        ])
-        .output(outputFile)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
-    });
+/**
+ * 解析 yt-dlp 输出的大小字符串，如 "123.45MiB"、"~1.2GiB"
+ */
+function parseSize(str) {
+  const match = /^~?\s*([\d.]+)\s*([KMGT]i?B|B)$/.exec((str || '').trim());
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (SIZE_UNITS[match[2]] || 1));
+}
 
-    console.log(`[Trim] 剪辑完成，返回文件`);
+/**
+ * 解析时钟格式 "HH:MM:SS(.ms)" / "MM:SS" 为秒
+ */
+function parseClock(str) {
+  if (!str || !/^[\d:.]+$/.test(str)) return null;
+  return str.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+}
 
-    res.download(outputFile, `trimmed.${outputFormat}`, (err) => {
-      cleanupFiles(inputFile, outputFile);
-      if (err) console.error('发送文件失败:', err);
-    });
+/**
+ * 解析 yt-dlp 的 [download] 进度行
+ * 例: "[download]  45.3% of ~ 123.45MiB at    2.31MiB/s ETA 00:45"
+ */
+function parseYtdlpProgress(line) {
+  const match = /\[download\]\s+([\d.]+)%\s+of\s+(~?\s*[\d.]+\s*\w+)(?:\s+at\s+(\S+))?(?:\s+ETA\s+(\S+))?/.exec(line);
+  if (!match) return null;
+
+  const percent = parseFloat(match[1]);
+  const totalBytes = parseSize(match[2]);
+  const speed = match[3] ? parseSize(match[3].replace(/\/s$/, '')) : null;
+  const eta = match[4] ? parseClock(match[4]) : null;
+
+  return {
+    percent,
+    bytes: totalBytes ? Math.round(totalBytes * percent / 100) : null,
+    totalBytes,
+    speed,
+    eta,
+  };
+}
 
-  } catch (error) {
-    console.error('[Trim] 错误:', error);
-    cleanupFiles(inputFile, outputFile);
-    res.status(500).json({ error: error.message });
-  }
-});
+// ==================== 取消 ====================
 
 /**
- * 格式转换
- * POST /convert
- * Body: { videoUrl, outputFormat, quality }
+ * 取消操作产生的错误
  */
-app.post('/convert', async (req, res) => {
-  const { videoUrl, outputFormat = 'mp4', quality = 'high' } = req.body;
-
-  if (!videoUrl) {
-    return res.status(400).json({ error: '缺少 videoUrl' });
-  }
+function abortError() {
+  const err = new Error('任务已取消');
+  err.name = 'AbortError';
+  return err;
+}
 
-  const taskId = uuidv4();
-  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${outputFormat}`);
+/**
+ * 中止时杀掉 ffmpeg 进程，返回 command 以便链式调用（同时计入运行中的进程数）
+ */
+function killOnAbort(command, signal) {
+  countFfmpegProcess(command);
+  if (!signal) return command;
+
+  const kill = () => command.kill('SIGKILL');
+  signal.addEventListener('abort', kill, { once: true });
+  const detach = () => signal.removeEventListener('abort', kill);
+  return command.on('end', detach).on('error', detach);
+}
 
-  // 质量参数
-  const qualitySettings = {
-    high: { crf: 18, preset: 'slow' },
-    medium: { crf: 23, preset: 'medium' },
-    low: { crf: 28, preset: 'fast' }
-  };
-  const settings = qualitySettings[quality] || qualitySettings.medium;
+/**
+ * 同步接口：客户端在结果返回前断开连接时中止处理
+ */
+function abortOnDisconnect(req, res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.headersSent) {
+      console.log(`[${req.method} ${req.path}] 客户端断开，中止处理`);
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
 
-  try {
-    console.log(`[Convert] 开始下载文件, taskId: ${taskId}`);
+/**
+ * 运行 yt-dlp，逐行解析进度
+ * options.onProgress(phase, progress)：phase 为 downloading 或 merging
+ * options.signal 中止时杀掉整个进程组（包括 yt-dlp 调起的 ffmpeg）
+ */
+function runYtdlp(args, { tag = 'ytdlp', onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
 
-    await downloadFile(videoUrl, `${taskId}_input`);
+    const ytdlp = countYtdlpProcess(spawn('yt-dlp', ['--newline', ...YTDLP_EXTRACTOR_ARGS, ...args], { detached: true }));
 
-    console.log(`[Convert] 下载完成，开始转换`);
+    const kill = () => {
+      try { process.kill(-ytdlp.pid, 'SIGKILL'); } catch { }
+    };
+    if (signal) signal.addEventListener('abort', kill, { once: true });
 
-    let command = ffmpeg(inputFile);
+    let stderr = '';
+    let buffer = '';
 
-    // 根据输出格式设置参数
-    if (outputFormat === 'mp4') {
-      command = command
-        .outputOptions([
-          '-c:v libx264',
-          `-crf ${settings.crf}`,
-          `-preset ${settings.preset}`,
-          '-c:a aac',
-          '-b:a 192k'
-        ]);
-    } else if (outputFormat === 'webm') {
-      command = command
-        .outputOptions([
-          '-c:v libvpx-vp9',
-          `-crf ${settings.crf}`,
-          '-b:v 0',
-          '-c:a libopus',
-          '-b:a 128k'
-        ]);
-    } else if (outputFormat === 'mp3') {
-      command = command
-        .noVideo()
-        .outputOptions([
-          '-c:a libmp3lame',
-          '-b:a 320k'
-        ]);
-    } else if (outputFormat === 'm4a') {
-      command = command
-        .noVideo()
-        .outputOptions([
-          '-c:a aac',
-          '-b:a 256k'
-        ]);
-    }
+    ytdlp.stdout.on('data', (data) => {
+      buffer += data.toString();
+      const lines = buffer.split(/\r?\n|\r/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.includes('[Merger]')) {
+          console.log(`[${tag}] ${line.trim()}`);
+          if (onProgress) onProgress('merging', { percent: null });
+          continue;
+        }
+        if (!line.includes('[download]')) continue;
 
-    await new Promise((resolve, reject) => {
-      command
-        .output(outputFile)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
+        const progress = parseYtdlpProgress(line);
+        if (!progress) {
+          console.log(`[${tag}] ${line.trim()}`);
+        } else if (onProgress) {
+          onProgress('downloading', progress);
+        }
+      }
     });
 
-    console.log(`[Convert] 转换完成，返回文件`);
+    ytdlp.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
 
-    res.download(outputFile, `converted.${outputFormat}`, (err) => {
-      cleanupFiles(inputFile, outputFile);
-      if (err) console.error('发送文件失败:', err);
+    ytdlp.on('error', (err) => {
+      console.error(`[${tag}] 错误:`, err.message);
+      if (signal) signal.removeEventListener('abort', kill);
+      reject(new Error(`yt-dlp 启动失败: ${err.message}`));
     });
 
-  } catch (error) {
-    console.error('[Convert] 错误:', error);
-    cleanupFiles(inputFile, outputFile);
-    res.status(500).json({ error: error.message });
-  }
-});
+    ytdlp.on('close', (code) => {
+      if (signal) signal.removeEventListener('abort', kill);
+      if (signal && signal.aborted) {
+        reject(abortError());
+      } else if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`yt-dlp 失败 (code ${code}): ${stderr}`));
+      }
+    });
+  });
+}
 
 /**
- * 提取音频
- * POST /extract-audio
- * Body: { videoUrl, format, bitrate }
+ * 使用 yt-dlp 下载文件
+ * 优先取音视频合一的格式；只有分离流的站点（如 Bilibili）下载后合并为 mp4
  */
-app.post('/extract-audio', async (req, res) => {
-  const { videoUrl, format = 'mp3', bitrate = '320' } = req.body;
-
-  if (!videoUrl) {
-    return res.status(400).json({ error: '缺少 videoUrl' });
+async function downloadWithYtdlp(url, outputPath, { onProgress, signal, maxFileSize = MAX_FILE_SIZE } = {}) {
+  console.log(`[ytdlp] 下载: ${url.substring(0, 100)}...`);
+  await checkUrl(url);
+
+  await runYtdlp([
+    '-f', 'best/bestvideo+bestaudio',
+    '--merge-output-format', 'mp4',
+    '--no-warnings',
+    '--no-playlist',
+    '--max-filesize', String(maxFileSize),
+    '-o', outputPath,
+    url
+  ], { onProgress, signal });
+
+  // 合并后的文件会带上扩展名，改回约定的路径
+  if (!fs.existsSync(outputPath)) {
+    const merged = `${outputPath}.mp4`;
+    if (!fs.existsSync(merged)) throw new Error('yt-dlp 未生成文件');
+    fs.renameSync(merged, outputPath);
   }
+  metrics.downloadedBytes.inc({ source: 'yt-dlp' }, fs.statSync(outputPath).size);
 
-  const taskId = uuidv4();
-  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${format}`);
-
-  try {
-    console.log(`[ExtractAudio] 开始下载文件, taskId: ${taskId}`);
+  console.log(`[ytdlp] 下载完成: ${outputPath}`);
+  return outputPath;
+}
 
-    await downloadFile(videoUrl, `${taskId}_input`);
+/**
+ * 执行 yt-dlp 并解析输出的 JSON
+ * options.signal 中止时杀掉 yt-dlp
+ */
+function runYtdlpJson(args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
 
-    console.log(`[ExtractAudio] 下载完成，开始提取音频`);
+    const ytdlp = countYtdlpProcess(spawn('yt-dlp', [...YTDLP_EXTRACTOR_ARGS, ...args]));
+    const onAbort = () => ytdlp.kill('SIGKILL');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
-    let command = ffmpeg(inputFile).noVideo();
+    let stdout = '';
+    let stderr = '';
 
-    if (format === 'mp3') {
-      command = command.outputOptions([
-        '-c:a libmp3lame',
-        `-b:a ${bitrate}k`
-      ]);
-    } else if (format === 'm4a' || format === 'aac') {
-      command = command.outputOptions([
-        '-c:a aac',
-        `-b:a ${bitrate}k`
-      ]);
-    } else if (format === 'wav') {
-      command = command.outputOptions([
-        '-c:a pcm_s16le'
-      ]);
-    }
+    ytdlp.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
 
-    await new Promise((resolve, reject) => {
-      command
-        .output(outputFile)
-        .on('end', resolve)
-        .on('error', reject)
-        .run();
+    ytdlp.stderr.on('data', (data) => {
+      stderr += data.toString();
     });
 
-    console.log(`[ExtractAudio] 提取完成，返回文件`);
+    ytdlp.on('error', (err) => {
+      reject(new Error(`yt-dlp 启动失败: ${err.message}`));
+    });
 
-    res.download(outputFile, `audio.${format}`, (err) => {
-      cleanupFiles(inputFile, outputFile);
-      if (err) console.error('发送文件失败:', err);
+    ytdlp.on('close', (code) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (signal && signal.aborted) {
+        reject(abortError());
+      } else if (code === 0) {
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (e) {
+          reject(new Error('解析 JSON 失败'));
+        }
+      } else {
+        reject(new Error(`yt-dlp 失败: ${stderr}`));
+      }
     });
+  });
+}
 
-  } catch (error) {
-    console.error('[ExtractAudio] 错误:', error);
-    cleanupFiles(inputFile, outputFile);
-    res.status(500).json({ error: error.message });
-  }
-});
+/**
+ * 用 yt-dlp 获取视频信息（--dump-json）
+ */
+function fetchYtdlpInfo(url, { signal } = {}) {
+  return runYtdlpJson([
+    '--no-warnings',
+    '--no-playlist',
+    '--dump-json',
+    '-f', 'bestvideo+bestaudio/best',
+    url
+  ], { signal });
+}
+
+// /parse 播放列表默认每页条目数
+const PLAYLIST_PAGE_SIZE = 50;
 
 /**
- * 获取视频信息
- * POST /probe
- * Body: { videoUrl }
+ * 校验播放列表分页参数：offset 从 0 开始，limit 最多 PLAYLIST_MAX_ENTRIES
  */
-app.post('/probe', async (req, res) => {
-  const { videoUrl } = req.body;
+function parsePlaylistOptions({ offset = 0, limit = PLAYLIST_PAGE_SIZE } = {}) {
+  const start = parseInt(offset);
+  const count = parseInt(limit);
+  if (!(start >= 0)) throw badRequest('offset 无效');
+  if (!(count >= 1 && count <= PLAYLIST_MAX_ENTRIES)) throw badRequest(`limit 必须在 1 到 ${PLAYLIST_MAX_ENTRIES} 之间`);
+  return { offset: start, limit: count };
+}
 
-  if (!videoUrl) {
-    return res.status(400).json({ error: '缺少 videoUrl' });
+/**
+ * 用 yt-dlp 解析任意页面（--flat-playlist，播放列表只列出条目，不解析每个视频）
+ * 是否为播放列表由 yt-dlp 判断（结果的 _type 为 playlist）；playlist 为 true 时 watch?v=...&list=... 也按列表处理
+ * 列表多取一条用于判断是否还有下一页；signal 中止时杀掉 yt-dlp
+ */
+function fetchYtdlpPage(url, { offset = 0, limit = PLAYLIST_PAGE_SIZE, playlist = false, signal } = {}) {
+  return runYtdlpJson([
+    '--no-warnings',
+    playlist ? '--yes-playlist' : '--no-playlist',
+    '--flat-playlist',
+    '--dump-single-json',
+    '--playlist-items', `${offset + 1}-${offset + limit + 1}`,
+    url
+  ], { signal });
+}
+
+/**
+ * 获取播放列表 / 频道的一页条目，不是播放列表时报错
+ * 返回 { id, extractor, title, author, total, entries: [{ id, title, url, duration, thumbnail, author }], hasMore }
+ */
+async function fetchYtdlpPlaylist(url, { offset = 0, limit = PLAYLIST_PAGE_SIZE, signal } = {}) {
+  const info = await fetchYtdlpPage(url, { offset, limit, playlist: true, signal });
+  if (info._type !== 'playlist') throw badRequest('不是播放列表或频道地址');
+  return playlistPage(info, limit);
+}
+
+/**
+ * yt-dlp 的播放列表信息转为一页条目（见 fetchYtdlpPlaylist）
+ */
+function playlistPage(info, limit) {
+  const entries = (info.entries || []).filter(Boolean).map(entry => ({
+    id: entry.id,
+    type: entry._type === 'playlist' || /(Tab|Playlist|Channel|User)$/.test(entry.ie_key || '') ? 'playlist' : 'video',
+    title: entry.title || entry.id,
+    url: entry.url && /^https?:/.test(entry.url) ? entry.url : entry.webpage_url || (/^Youtube/.test(entry.ie_key || '') ? `https://www.youtube.com/watch?v=${entry.id}` : null),
+    duration: entry.duration || null,
+    thumbnail: entry.thumbnail || (entry.thumbnails && entry.thumbnails.length ? entry.thumbnails[entry.thumbnails.length - 1].url : null),
+    author: entry.uploader || entry.channel || null,
+  }));
+
+  return {
+    id: info.id,
+    extractor: info.extractor_key || info.extractor,
+    title: info.title,
+    author: info.uploader || info.channel || null,
+    total: info.playlist_count || null,
+    entries: entries.slice(0, limit),
+    hasMore: entries.length > limit,
+  };
+}
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const RETRYABLE_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * 下载错误，retryable 表示可重试
+ */
+function downloadError(message, retryable = false) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * 等待 ms 毫秒，signal 中止时提前结束
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 单次 HTTP 下载，offset > 0 时通过 Range 从断点续传
+ * 服务端不支持 Range（返回 200）时从头下载
+ * 返回重定向后的最终 URL
+ */
+function httpDownload(url, filePath, headers, { offset = 0, redirects = 0, maxFileSize, onProgress, signal }) {
+  const protocol = url.startsWith('https') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    assertUrlAllowed(url);
+
+    let file = null;
+    let settled = false;
+
+    const settle = (fn) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (file) file.close(fn);
+      else fn();
+    };
+    const fail = (err) => settle(() => reject(err));
+
+    const onAbort = () => {
+      request.destroy();
+      fail(abortError());
+    };
+
+    const request = protocol.get(url, {
+      lookup: policyLookup,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        ...headers,
+        ...(offset > 0 ? { 'Range': `bytes=${offset}-` } : {}),
+      }
+    }, (response) => {
+      const { statusCode } = response;
+
+      // 处理重定向
+      if (REDIRECT_CODES.includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return fail(downloadError(`重定向次数超过 ${MAX_REDIRECTS} 次`));
+        }
+        const location = new URL(response.headers.location, url).toString();
+        return settle(() => {
+          httpDownload(location, filePath, headers, { offset, redirects: redirects + 1, maxFileSize, onProgress, signal })
+            .then(resolve, reject);
+        });
+      }
+
+      // 断点已是文件末尾
+      if (statusCode === 416 && offset > 0) {
+        response.resume();
+        const total = parseInt((response.headers['content-range'] || '').split('/')[1]);
+        if (total === offset) return settle(() => resolve(url));
+        return fail(downloadError('断点续传失败', true));
+      }
+
+      if (statusCode !== 200 && statusCode !== 206) {
+        response.resume();
+        return fail(downloadError(`HTTP ${statusCode}`, RETRYABLE_CODES.includes(statusCode)));
+      }
+
+      // 200 表示服务端忽略了 Range，从头写入
+      let start = 0;
+      if (statusCode === 206) {
+        start = parseInt((/bytes (\d+)-/.exec(response.headers['content-range'] || '') || [])[1]);
+        if (start !== offset) {
+          response.resume();
+          fs.truncateSync(filePath, 0);
+          return fail(downloadError('断点位置不一致', true));
+        }
+      }
+
+      const contentLength = parseInt(response.headers['content-length']);
+      const totalBytes = contentLength >= 0 ? start + contentLength : null;
+      if (totalBytes && totalBytes > maxFileSize) {
+        response.resume();
+        return fail(downloadError('文件大小超过限制'));
+      }
+
+      file = fs.createWriteStream(filePath, { flags: start > 0 ? 'a' : 'w' });
+      file.on('error', err => {
+        request.destroy();
+        fail(err);
+      });
+
+      let received = 0;
+      const startedAt = Date.now();
+      let lastReport = 0;
+
+      const report = () => {
+        if (!onProgress) return;
+        const bytes = start + received;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const speed = elapsed > 0 ? Math.round(received / elapsed) : null;
+        onProgress('downloading', {
+          percent: totalBytes ? Math.min(100, bytes / totalBytes * 100) : null,
+          bytes,
+          totalBytes,
+          speed,
+          eta: totalBytes && speed ? Math.round((totalBytes - bytes) / speed) : null,
+        });
+      };
+
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        metrics.downloadedBytes.inc({ source: 'http' }, chunk.length);
+        if (start + received > maxFileSize) {
+          request.destroy();
+          fail(downloadError('文件大小超过限制'));
+          return;
+        }
+        if (Date.now() - lastReport >= 500) {
+          lastReport = Date.now();
+          report();
+        }
+      });
+
+      // 连接中途断开
+      response.on('aborted', () => fail(downloadError('连接中断', true)));
+      response.on('error', err => fail(downloadError(err.message, true)));
+
+      response.pipe(file);
+
+      file.on('finish', () => {
+        if (contentLength >= 0 && received < contentLength) {
+          return fail(downloadError('连接中断', true));
+        }
+        report();
+        settle(() => resolve(url));
+      });
+    });
+
+    request.on('error', (err) => {
+      fail(err.retryable !== undefined ? err : downloadError(err.message, true));
+    });
+
+    // 空闲超时：连接上超过 DOWNLOAD_IDLE_TIMEOUT 没有数据即中断
+    request.setTimeout(DOWNLOAD_IDLE_TIMEOUT, () => {
+      request.destroy(downloadError('下载超时', true));
+    });
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * HTTP 下载到指定路径，失败时按指数退避重试（1s, 2s, 4s ...），并从已写入的字节处续传
+ * 返回重定向后的最终 URL
+ */
+async function downloadHttp(url, filePath, headers = {}, options = {}) {
+  const { onProgress, signal, retries = DOWNLOAD_RETRIES, maxFileSize = MAX_FILE_SIZE } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    const offset = attempt > 0 && fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    try {
+      return await httpDownload(url, filePath, headers, { offset, maxFileSize, onProgress, signal });
+    } catch (err) {
+      if (!err.retryable || attempt >= retries || (signal && signal.aborted)) {
+        cleanupFiles(filePath);
+        throw err;
+      }
+
+      const delay = 1000 * 2 ** attempt;
+      console.warn(`[Download] ${err.message}，${delay / 1000}s 后第 ${attempt + 1} 次重试: ${url.substring(0, 100)}`);
+      try {
+        await sleep(delay, signal);
+      } catch (abortErr) {
+        cleanupFiles(filePath);
+        throw abortErr;
+      }
+    }
   }
+}
 
-  const taskId = uuidv4();
-  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+/**
+ * 下载文件到临时目录
+ * 自动检测 URL 类型：站点页面使用 yt-dlp（见 detectSite），HLS / DASH 清单下载分片后合并，其余直接下载
+ * 直接下载得到网页时交给 yt-dlp 解析（是否支持由 yt-dlp 与 YTDLP_EXTRACTORS 决定）
+ * options.onProgress(phase, progress) 每 500ms 最多回调一次
+ * options.signal 中止时断开请求并删除已下载部分
+ * options.maxFileSize 覆盖默认的 MAX_FILE_SIZE
+ * options.variant 清单输入的码率选择，见 selectVariant
+ */
+async function downloadFile(url, filename, headers = {}, options = {}) {
+  const filePath = path.join(TEMP_DIR, filename);
+  const { signal } = options;
+
+  if (signal && signal.aborted) throw abortError();
+
+  // 检测是否需要使用 yt-dlp
+  assertSiteEnabled(url);
+  if (needsYtdlp(url)) {
+    return downloadWithYtdlp(url, filePath, options);
+  }
+
+  // URL 可识别的清单
+  if (detectManifestUrl(url)) {
+    return downloadManifest(url, filePath, headers, options);
+  }
+
+  // 普通 URL 使用 http/https 下载；下载到的是清单文本时再按清单处理
+  const finalUrl = await downloadHttp(url, filePath, headers, options);
+  if (sniffManifest(filePath)) {
+    return downloadManifest(finalUrl, filePath, headers, options, fs.readFileSync(filePath, 'utf8'));
+  }
+  if (sniffHtml(filePath)) {
+    cleanupFiles(filePath);
+    console.log(`[Download] 网页地址，改用 yt-dlp: ${url.substring(0, 100)}`);
+    return downloadWithYtdlp(url, filePath, options);
+  }
+
+  return filePath;
+}
+
+/**
+ * 下载到的内容是否为 HTML 网页
+ */
+function sniffHtml(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(512);
+  const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  return /^\s*(<!doctype html|<html[\s>])/i.test(buffer.toString('utf8', 0, bytes).replace(/^\uFEFF/, ''));
+}
+
+// ==================== HLS / DASH 清单 ====================
+
+const MANIFEST_MAX_SIZE = 2 * 1024 * 1024; // 清单文本大小上限
+
+/**
+ * 根据 URL 后缀识别清单类型：hls | dash | null
+ */
+function detectManifestUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch {
+    return null;
+  }
+  if (pathname.endsWith('.m3u8')) return 'hls';
+  if (pathname.endsWith('.mpd')) return 'dash';
+  return null;
+}
+
+/**
+ * 根据文件内容识别清单类型（用于 URL 无后缀的情况）
+ */
+function sniffManifest(filePath) {
+  const stat = fs.statSync(filePath);
+  if (stat.size > MANIFEST_MAX_SIZE) return null;
+
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(Math.min(stat.size, 1024));
+  fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  const head = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('#EXTM3U')) return 'hls';
+  if (/<MPD[\s>]/.test(head)) return 'dash';
+  return null;
+}
+
+/**
+ * 下载清单文本，返回 { text, url }（url 为重定向后的地址）
+ */
+async function fetchManifestText(url, file, headers, { signal }) {
+  const finalUrl = await downloadHttp(url, file, headers, { signal, maxFileSize: MANIFEST_MAX_SIZE });
+  const text = fs.readFileSync(file, 'utf8');
+  cleanupFiles(file);
+  return { text, url: finalUrl };
+}
+
+/**
+ * 选择码率
+ * variant: { maxHeight, maxBandwidth, prefer: 'highest' | 'lowest' }
+ * 满足上限的候选中取最高（或最低）码率；没有满足条件的取最低码率
+ */
+function selectVariant(variants, { maxHeight, maxBandwidth, prefer = 'highest' } = {}) {
+  const byBandwidth = [...variants].sort((a, b) => (a.bandwidth || 0) - (b.bandwidth || 0));
+  const fits = byBandwidth.filter(v =>
+    (!maxHeight || !v.height || v.height <= maxHeight) &&
+    (!maxBandwidth || !v.bandwidth || v.bandwidth <= maxBandwidth)
+  );
+  if (!fits.length) return byBandwidth[0];
+  return prefer === 'lowest' ? fits[0] : fits[fits.length - 1];
+}
+
+/**
+ * 有限并发执行，任一失败时中止其余任务
+ */
+async function mapLimit(items, limit, signal, fn) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const index = next++;
+      await fn(items[index], controller.signal);
+    }
+  };
 
   try {
-    await downloadFile(videoUrl, `${taskId}_input`);
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  } catch (err) {
+    controller.abort();
+    throw signal && signal.aborted ? abortError() : err;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
 
-    const info = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(inputFile, (err, data) => {
-        if (err) reject(err);
-        else resolve(data);
+/**
+ * 并行下载清单中的所有资源 [{ url, file }]，按完成数汇报进度，累计大小受 maxFileSize 限制
+ */
+async function downloadResources(resources, headers, { onProgress, signal, maxFileSize = MAX_FILE_SIZE }) {
+  const startedAt = Date.now();
+  let completed = 0;
+  let bytes = 0;
+
+  await mapLimit(resources, MANIFEST_CONCURRENCY, signal, async (resource, segmentSignal) => {
+    await downloadHttp(resource.url, resource.file, headers, { signal: segmentSignal, maxFileSize });
+
+    bytes += fs.statSync(resource.file).size;
+    if (bytes > maxFileSize) {
+      throw downloadError('文件大小超过限制');
+    }
+
+    completed++;
+    if (onProgress) {
+      const percent = completed / resources.length * 100;
+      const elapsed = (Date.now() - startedAt) / 1000;
+      onProgress('downloading', {
+        percent,
+        bytes,
+        totalBytes: null,
+        speed: elapsed > 0 ? Math.round(bytes / elapsed) : null,
+        eta: Math.round(elapsed * (100 - percent) / percent),
       });
+    }
+  });
+}
+
+/**
+ * 下载清单对应的媒体并封装为单个 mp4 文件
+ * text 为已下载的清单内容（可选）
+ */
+async function downloadManifest(url, filePath, headers = {}, options = {}, text = null) {
+  const workFiles = [];
+  const work = (suffix) => {
+    const file = `${filePath}_${suffix}`;
+    workFiles.push(file);
+    return file;
+  };
+
+  try {
+    const manifest = text === null
+      ? await fetchManifestText(url, work('manifest'), headers, options)
+      : { text, url };
+
+    const type = manifest.text.trimStart().startsWith('#EXTM3U') ? 'hls' : 'dash';
+    console.log(`[Manifest] ${type.toUpperCase()}: ${manifest.url.substring(0, 100)}`);
+
+    const inputs = type === 'hls'
+      ? await prepareHls(manifest, headers, options, work)
+      : await prepareDash(manifest, headers, options, work);
+
+    if (options.onProgress) options.onProgress('merging', { percent: null });
+
+    // 封装为单个文件（不重新编码）
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      inputs.forEach(input => {
+        command.input(input);
+        if (input.endsWith('.m3u8')) {
+          command.inputOptions(['-protocol_whitelist', 'file,crypto,data', '-allowed_extensions', 'ALL']);
+        }
+      });
+      const maps = inputs.length > 1 ? ['-map 0:v:0', '-map 1:a:0'] : ['-map 0:v?', '-map 0:a?'];
+      killOnAbort(command, options.signal)
+        .outputOptions(['-c copy', ...maps])
+        .format('mp4')
+        .output(filePath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
     });
 
-    cleanupFiles(inputFile);
+    return filePath;
+  } catch (err) {
+    cleanupFiles(filePath);
+    throw err;
+  } finally {
+    cleanupFiles(...workFiles);
+  }
+}
 
-    res.json({
-      success: true,
-      data: {
-        duration: info.format.duration,
-        size: info.format.size,
-        format: info.format.format_name,
-        streams: info.streams.map(s => ({
-          type: s.codec_type,
-          codec: s.codec_name,
-          width: s.width,
-          height: s.height,
-          bitrate: s.bit_rate,
-          fps: s.r_frame_rate
-        }))
+// ---- HLS ----
+
+/**
+ * 解析 HLS 属性列表：KEY=VALUE,KEY="VALUE"
+ */
+function parseHlsAttributes(str) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = re.exec(str))) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attrs;
+}
+
+/**
+ * 解析 HLS 主播放列表，返回 { variants, media }
+ */
+function parseHlsMaster(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(l => l.trim());
+  const variants = [];
+  const media = [];
+
+  lines.forEach((line, i) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = parseHlsAttributes(line.substring(18));
+      const uri = lines.slice(i + 1).find(l => l && !l.startsWith('#'));
+      if (!uri) return;
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(Number);
+      variants.push({
+        url: new URL(uri, baseUrl).toString(),
+        bandwidth: parseInt(attrs['AVERAGE-BANDWIDTH'] || attrs.BANDWIDTH) || 0,
+        width: width || null,
+        height: height || null,
+        audio: attrs.AUDIO || null,
+      });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attrs = parseHlsAttributes(line.substring(13));
+      media.push({
+        type: attrs.TYPE,
+        groupId: attrs['GROUP-ID'],
+        isDefault: attrs.DEFAULT === 'YES',
+        url: attrs.URI ? new URL(attrs.URI, baseUrl).toString() : null,
+      });
+    }
+  });
+
+  return { variants, media };
+}
+
+/**
+ * 将媒体播放列表中的分片、密钥、初始化段改写为本地文件
+ * 返回 { text, resources }，同一 URL 只下载一次（支持 EXT-X-BYTERANGE）
+ */
+function localizeHlsPlaylist(text, baseUrl, prefix, work) {
+  if (!text.includes('#EXT-X-ENDLIST')) {
+    throw new Error('不支持直播流');
+  }
+
+  const resources = [];
+  const localFiles = new Map();
+  const localize = (uri, defaultExt) => {
+    const url = new URL(uri, baseUrl).toString();
+    if (!localFiles.has(url)) {
+      const ext = path.extname(new URL(url).pathname);
+      const file = work(`${prefix}_${localFiles.size}${/^\.[a-z0-9]{1,5}$/i.test(ext) ? ext : defaultExt}`);
+      localFiles.set(url, file);
+      resources.push({ url, file });
+    }
+    return localFiles.get(url);
+  };
+
+  const lines = text.split(/\r?\n/).map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return trimmed;
+    if (trimmed.startsWith('#EXT-X-KEY') || trimmed.startsWith('#EXT-X-MAP')) {
+      return trimmed.replace(/URI="([^"]+)"/, (_, uri) => `URI="${localize(uri, trimmed.startsWith('#EXT-X-KEY') ? '.key' : '.mp4')}"`);
+    }
+    if (trimmed.startsWith('#')) return trimmed;
+    return localize(trimmed, '.ts');
+  });
+
+  return { text: lines.join('\n'), resources };
+}
+
+/**
+ * 选择码率、下载分片，返回交给 ffmpeg 的本地播放列表（视频 [+ 独立音频]）
+ */
+async function prepareHls(manifest, headers, options, work) {
+  const tracks = [{ name: 'video', ...manifest }];
+
+  if (/#EXT-X-STREAM-INF/.test(manifest.text)) {
+    const { variants, media } = parseHlsMaster(manifest.text, manifest.url);
+    if (!variants.length) throw new Error('HLS 主播放列表中没有可用码率');
+
+    const variant = selectVariant(variants, options.variant);
+    console.log(`[Manifest] 选择码率: ${variant.bandwidth}bps ${variant.height ? variant.height + 'p' : ''}`);
+    tracks[0] = { name: 'video', ...await fetchManifestText(variant.url, work('video_manifest'), headers, options) };
+
+    // 独立音频轨
+    if (variant.audio) {
+      const group = media.filter(m => m.type === 'AUDIO' && m.groupId === variant.audio && m.url);
+      const rendition = group.find(m => m.isDefault) || group[0];
+      if (rendition) {
+        tracks.push({ name: 'audio', ...await fetchManifestText(rendition.url, work('audio_manifest'), headers, options) });
       }
-    });
+    }
+  }
+
+  const resources = [];
+  const playlists = tracks.map((track) => {
+    const local = localizeHlsPlaylist(track.text, track.url, `hls_${track.name}`, work);
+    const playlist = work(`hls_${track.name}.m3u8`);
+    fs.writeFileSync(playlist, local.text);
+    resources.push(...local.resources);
+    return playlist;
+  });
+
+  await downloadResources(resources, headers, options);
+  return playlists;
+}
+
+// ---- DASH ----
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  isArray: name => ['Period', 'AdaptationSet', 'Representation', 'BaseURL', 'S', 'SegmentURL'].includes(name),
+});
+
+/**
+ * 解析 ISO 8601 时长（PT1H2M3.5S）为秒
+ */
+function parseIsoDuration(str) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(str || '');
+  if (!match) return null;
+  const [, d = 0, h = 0, m = 0, sec = 0] = match;
+  return d * 86400 + h * 3600 + m * 60 + parseFloat(sec);
+}
+
+function nodeText(node) {
+  return typeof node === 'object' ? node['#text'] : String(node);
+}
+
+function resolveBaseUrl(node, base) {
+  return node && node.BaseURL ? new URL(nodeText(node.BaseURL[0]).trim(), base).toString() : base;
+}
+
+/**
+ * 展开 SegmentTemplate：$RepresentationID$ $Number$ $Time$ $Bandwidth$（支持 %0Nd）
+ */
+function expandTemplate(template, vars) {
+  return template
+    .replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$/g, (_, name, width) => {
+      const value = String(vars[name]);
+      return width ? value.padStart(parseInt(width), '0') : value;
+    })
+    .replace(/\$\$/g, '$');
+}
+
+/**
+ * 计算 Representation 的分片 URL 列表（初始化段在前）
+ */
+function dashSegmentUrls(rep, adaptation, base, periodDuration) {
+  // SegmentTemplate 可定义在 AdaptationSet 上，Representation 上的属性优先
+  const template = (adaptation.SegmentTemplate || rep.SegmentTemplate)
+    ? { ...adaptation.SegmentTemplate, ...rep.SegmentTemplate }
+    : null;
+  const vars = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+
+  if (template) {
+    const urls = [];
+    if (template.initialization) {
+      urls.push(new URL(expandTemplate(template.initialization, vars), base).toString());
+    }
+
+    const timescale = parseInt(template.timescale) || 1;
+    let number = parseInt(template.startNumber);
+    if (isNaN(number)) number = 1;
+
+    if (template.SegmentTimeline) {
+      let time = 0;
+      for (const seg of template.SegmentTimeline.S) {
+        if (seg.t !== undefined) time = parseInt(seg.t);
+        const duration = parseInt(seg.d);
+        let repeat = parseInt(seg.r) || 0;
+        if (repeat < 0) {
+          repeat = Math.ceil((periodDuration * timescale - time) / duration) - 1;
+        }
+        for (let i = 0; i <= repeat; i++) {
+          urls.push(new URL(expandTemplate(template.media, { ...vars, Number: number++, Time: time }), base).toString());
+          time += duration;
+        }
+      }
+    } else {
+      const duration = parseInt(template.duration);
+      if (!duration || !periodDuration) throw new Error('无法确定 DASH 分片数量');
+      const count = Math.ceil(periodDuration * timescale / duration);
+      for (let i = 0; i < count; i++) {
+        urls.push(new URL(expandTemplate(template.media, { ...vars, Number: number + i, Time: i * duration }), base).toString());
+      }
+    }
+    return urls;
+  }
+
+  const list = rep.SegmentList || adaptation.SegmentList;
+  if (list) {
+    const urls = [];
+    if (list.Initialization && list.Initialization.sourceURL) {
+      urls.push(new URL(list.Initialization.sourceURL, base).toString());
+    }
+    for (const seg of list.SegmentURL || []) {
+      if (seg.mediaRange) throw new Error('不支持按字节范围分片的 DASH 清单');
+      urls.push(new URL(seg.media, base).toString());
+    }
+    return urls;
+  }
+
+  // SegmentBase / 仅 BaseURL：整个文件
+  return [base];
+}
+
+/**
+ * 解析 MPD，返回 Representation 列表 { id, type, bandwidth, width, height, urls }
+ */
+function parseDash(text, url) {
+  const mpd = xmlParser.parse(text).MPD;
+  if (!mpd || !mpd.Period) throw new Error('无效的 DASH 清单');
+  if (mpd.type === 'dynamic') throw new Error('不支持直播流');
+
+  const period = mpd.Period[0];
+  const periodDuration = parseIsoDuration(period.duration) || parseIsoDuration(mpd.mediaPresentationDuration);
+  const periodBase = resolveBaseUrl(period, resolveBaseUrl(mpd, url));
+
+  const representations = [];
+  for (const adaptation of period.AdaptationSet || []) {
+    const adaptationBase = resolveBaseUrl(adaptation, periodBase);
+
+    for (const rep of adaptation.Representation || []) {
+      const mime = rep.mimeType || adaptation.mimeType || adaptation.contentType || '';
+      const type = mime.startsWith('video') ? 'video'
+        : mime.startsWith('audio') ? 'audio'
+          : (rep.width || adaptation.width) ? 'video' : null;
+      if (!type) continue;
+
+      const base = resolveBaseUrl(rep, adaptationBase);
+      representations.push({
+        id: rep.id,
+        type,
+        ext: mime.includes('webm') ? '.webm' : '.mp4',
+        bandwidth: parseInt(rep.bandwidth) || 0,
+        width: parseInt(rep.width || adaptation.width) || null,
+        height: parseInt(rep.height || adaptation.height) || null,
+        urls: dashSegmentUrls(rep, adaptation, base, periodDuration),
+      });
+    }
+  }
+  return representations;
+}
+
+/**
+ * 选择视频 / 音频 Representation，下载分片并拼接为完整轨道文件
+ */
+async function prepareDash(manifest, headers, options, work) {
+  const representations = parseDash(manifest.text, manifest.url);
+  const videos = representations.filter(r => r.type === 'video');
+  const audios = representations.filter(r => r.type === 'audio');
+
+  const selected = [];
+  if (videos.length) selected.push(selectVariant(videos, options.variant));
+  if (audios.length) selected.push(selectVariant(audios));
+  if (!selected.length) throw new Error('DASH 清单中没有可用的音视频');
+
+  const resources = [];
+  const tracks = selected.map((rep) => {
+    console.log(`[Manifest] 选择 ${rep.type}: ${rep.id} ${rep.bandwidth}bps ${rep.height ? rep.height + 'p' : ''}`);
+    const parts = rep.urls.map((url, i) => ({ url, file: work(`dash_${rep.type}_${i}`) }));
+    resources.push(...parts);
+    return { file: work(`dash_${rep.type}${rep.ext}`), parts };
+  });
+
+  await downloadResources(resources, headers, options);
+
+  // 初始化段 + 媒体分片按顺序拼接
+  for (const track of tracks) {
+    for (const part of track.parts) {
+      fs.appendFileSync(track.file, fs.readFileSync(part.file));
+      cleanupFiles(part.file);
+    }
+  }
+
+  return tracks.map(t => t.file);
+}
+
+/**
+ * 清理临时文件（目录递归删除）
+ */
+function cleanupFiles(...files) {
+  files.forEach(file => {
+    try {
+      if (file && fs.existsSync(file)) {
+        fs.rmSync(file, { recursive: true, force: true });
+      }
+    } catch (e) {
+      console.error('清理文件失败:', e.message);
+    }
+  });
+}
+
+/**
+ * 清理任务产生的所有临时文件（文件名以 `${taskId}_` 开头）
+ */
+function cleanupTaskFiles(taskId) {
+  const files = fs.readdirSync(TEMP_DIR)
+    .filter(file => file.startsWith(`${taskId}_`))
+    .map(file => path.join(TEMP_DIR, file));
+  cleanupFiles(...files);
+}
+
+// ==================== HLS 打包 ====================
+
+/**
+ * 编码质量参数（/convert 与 HLS 打包共用）
+ */
+const qualitySettings = {
+  high: { crf: 18, preset: 'slow' },
+  medium: { crf: 23, preset: 'medium' },
+  low: { crf: 28, preset: 'fast' }
+};
+
+const HLS_DEFAULT_RENDITIONS = [1080, 720, 480];
+
+/**
+ * 参数错误（400）
+ */
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * 校验 HLS 打包参数
+ * renditions: 各档高度，数组或逗号分隔字符串；segmentDuration: 切片时长（秒）
+ */
+function parseHlsOptions({ renditions = HLS_DEFAULT_RENDITIONS, segmentDuration = 6, quality = 'high', audioRendition = true } = {}) {
+  const heights = (Array.isArray(renditions) ? renditions : String(renditions).split(','))
+    .map(h => parseInt(h));
+  if (!heights.length || heights.some(h => !(h >= 144 && h <= 2160))) {
+    throw badRequest('renditions 必须是 144-2160 之间的高度列表');
+  }
+
+  const duration = parseFloat(segmentDuration);
+  if (!(duration >= 1 && duration <= 30)) {
+    throw badRequest('segmentDuration 必须在 1-30 秒之间');
+  }
+
+  return {
+    renditions: [...new Set(heights)].sort((a, b) => b - a),
+    segmentDuration: duration,
+    quality,
+    audioRendition: audioRendition !== false && audioRendition !== 'false',
+  };
+}
+
+/**
+ * ffprobe 的 Promise 封装
+ */
+function probeMedia(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, data) => {
+      if (err) reject(err);
+      else resolve(data);
+    });
+  });
+}
+
+/**
+ * 视频显示尺寸：ffmpeg 会按 rotate 元数据自动旋转，竖屏视频的宽高需要对调
+ */
+function displaySize(videoStream) {
+  const rotate = Math.abs(parseInt(videoStream.tags && videoStream.tags.rotate) || 0);
+  return [90, 270].includes(rotate)
+    ? { width: videoStream.height, height: videoStream.width }
+    : { width: videoStream.width, height: videoStream.height };
+}
+
+/**
+ * 根据播放列表中各分片的大小计算峰值 / 平均码率（bps）
+ */
+function hlsBandwidth(playlistFile) {
+  const dir = path.dirname(playlistFile);
+  let segmentDuration = null;
+  let peak = 0;
+  let totalBits = 0;
+  let totalDuration = 0;
+
+  for (const line of fs.readFileSync(playlistFile, 'utf8').split('\n').map(l => l.trim())) {
+    if (line.startsWith('#EXTINF:')) {
+      segmentDuration = parseFloat(line.slice(8));
+    } else if (line && !line.startsWith('#') && segmentDuration) {
+      const bits = fs.statSync(path.join(dir, line)).size * 8;
+      // 末尾的极短分片容器开销占比大，按至少 1 秒计算，避免峰值虚高
+      peak = Math.max(peak, bits / Math.max(segmentDuration, 1));
+      totalBits += bits;
+      totalDuration += segmentDuration;
+      segmentDuration = null;
+    }
+  }
+
+  return {
+    peak: Math.ceil(peak),
+    average: totalDuration ? Math.ceil(totalBits / totalDuration) : 0,
+  };
+}
+
+/**
+ * 把视频打包为多码率 HLS
+ * 输出目录结构: master.m3u8、<height>p/index.m3u8 + 分片、audio/index.m3u8 + 分片（纯音频档）
+ * 每档视频都带音频，纯音频档作为独立的 variant 写入 master
+ * 传入 task 时上报 packaging 进度
+ */
+async function packageHls(inputFile, outputDir, { renditions, segmentDuration, quality, audioRendition }, { signal, task } = {}) {
+  const info = await probeMedia(inputFile);
+  const videoStream = info.streams.find(s => s.codec_type === 'video');
+  const hasAudio = info.streams.some(s => s.codec_type === 'audio');
+  if (!videoStream) throw new Error('源文件没有视频流');
+
+  const { width: sourceWidth, height: sourceHeight } = displaySize(videoStream);
+
+  // 不放大：去掉高于源分辨率的档位，全部高于源时只保留源分辨率
+  let heights = renditions.filter(h => h <= sourceHeight);
+  if (!heights.length) heights = [sourceHeight - sourceHeight % 2];
+
+  const settings = qualitySettings[quality] || qualitySettings.medium;
+  const hlsOptions = name => [
+    '-f hls',
+    `-hls_time ${segmentDuration}`,
+    '-hls_playlist_type vod',
+    `-hls_segment_filename ${path.join(outputDir, name, 'seg_%03d.ts')}`,
+  ];
+
+  const variants = heights.map(height => ({
+    name: `${height}p`,
+    width: Math.round(sourceWidth * height / sourceHeight / 2) * 2,
+    height,
+  }));
+
+  const command = killOnAbort(ffmpeg(inputFile), signal);
+
+  for (const variant of variants) {
+    fs.mkdirSync(path.join(outputDir, variant.name), { recursive: true });
+    command
+      .output(path.join(outputDir, variant.name, 'index.m3u8'))
+      .outputOptions([
+        '-map 0:v:0',
+        ...(hasAudio ? ['-map 0:a:0', '-c:a aac', '-b:a 192k'] : []),
+        `-vf scale=-2:${variant.height}`,
+        '-c:v libx264',
+        `-crf ${settings.crf}`,
+        `-preset ${settings.preset}`,
+        '-pix_fmt yuv420p',
+        // 关键帧对齐切片边界，保证各档可以无缝切换
+        `-force_key_frames expr:gte(t,n_forced*${segmentDuration})`,
+        ...hlsOptions(variant.name),
+      ]);
+  }
+
+  const withAudio = hasAudio && audioRendition;
+  if (withAudio) {
+    fs.mkdirSync(path.join(outputDir, 'audio'), { recursive: true });
+    command
+      .output(path.join(outputDir, 'audio', 'index.m3u8'))
+      .outputOptions(['-map 0:a:0', '-c:a aac', '-b:a 192k', ...hlsOptions('audio')]);
+  }
+
+  const duration = parseFloat(info.format.duration) || null;
+  await new Promise((resolve, reject) => {
+    if (task) trackFfmpegProgress(command, task, 'packaging', duration);
+    command.on('end', resolve).on('error', reject).run();
+  });
+
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const variant of variants) {
+    const bandwidth = hlsBandwidth(path.join(outputDir, variant.name, 'index.m3u8'));
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth.peak},AVERAGE-BANDWIDTH=${bandwidth.average},RESOLUTION=${variant.width}x${variant.height}`,
+      `${variant.name}/index.m3u8`
+    );
+  }
+  if (withAudio) {
+    const bandwidth = hlsBandwidth(path.join(outputDir, 'audio', 'index.m3u8'));
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth.peak},AVERAGE-BANDWIDTH=${bandwidth.average},CODECS="mp4a.40.2"`,
+      'audio/index.m3u8'
+    );
+  }
+  fs.writeFileSync(path.join(outputDir, 'master.m3u8'), lines.join('\n') + '\n');
+
+  return {
+    duration,
+    renditions: variants.map(v => `${v.width}x${v.height}`),
+    audio: withAudio,
+  };
+}
+
+/**
+ * 计算目录总大小（字节）
+ */
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((sum, entry) => {
+    const file = path.join(dir, entry.name);
+    return sum + (entry.isDirectory() ? directorySize(file) : fs.statSync(file).size);
+  }, 0);
+}
+
+/**
+ * 把文件和目录打包成 zip 流式返回（媒体本身已压缩，只存储不压缩）
+ * sources: [{ path, name }]，目录按 name 作为 zip 内的子目录
+ * 用法同 res.download(file, filename, callback)
+ */
+function sendZip(res, sources, filename, callback) {
+  const archive = archiver('zip', { store: true });
+  let failed = null;
+
+  archive.on('error', (err) => {
+    failed = err;
+    res.destroy(err);
+  });
+  res.on('close', () => {
+    callback(failed || (res.writableFinished ? null : new Error('连接已关闭')));
+  });
+
+  res.attachment(filename);
+  archive.pipe(res);
+  for (const source of sources) {
+    if (fs.statSync(source.path).isDirectory()) archive.directory(source.path, source.name);
+    else archive.file(source.path, { name: source.name });
+  }
+  archive.finalize();
+}
+
+/**
+ * 把目录打包成 zip 流式返回（目录内容位于 zip 根目录）
+ */
+function sendDirectoryZip(res, dir, filename, callback) {
+  sendZip(res, [{ path: dir, name: false }], filename, callback);
+}
+
+// ==================== 缩略图 ====================
+
+const MAX_THUMBNAILS = 200;
+
+/**
+ * 图片格式对应的编码参数
+ */
+const IMAGE_FORMATS = {
+  jpg: ['-q:v 3'],
+  png: [],
+  webp: ['-c:v libwebp', '-quality 80'],
+};
+
+/**
+ * 校验缩略图参数
+ * timestamps: 时间点（秒）列表，未提供时按 count 均匀取帧
+ * sprite: 拼成雪碧图并生成 WebVTT；columns: 雪碧图列数
+ */
+function parseThumbnailOptions({ timestamps, count = 10, width = 320, height, format = 'jpg', sprite = false, columns } = {}) {
+  const fmt = format === 'jpeg' ? 'jpg' : format;
+  if (!IMAGE_FORMATS[fmt]) {
+    throw badRequest(`不支持的图片格式: ${format}`);
+  }
+
+  let times = null;
+  if (timestamps != null && timestamps !== '') {
+    times = (Array.isArray(timestamps) ? timestamps : String(timestamps).split(',')).map(t => parseFloat(t));
+    if (!times.length || times.some(t => !(t >= 0))) {
+      throw badRequest('timestamps 必须是非负秒数列表');
+    }
+    times = [...new Set(times)].sort((a, b) => a - b);
+  }
+
+  const total = times ? times.length : parseInt(count);
+  if (!(total >= 1 && total <= MAX_THUMBNAILS)) {
+    throw badRequest(`缩略图数量必须在 1-${MAX_THUMBNAILS} 之间`);
+  }
+
+  const w = parseInt(width);
+  const h = height != null && height !== '' ? parseInt(height) : null;
+  if (!(w >= 16 && w <= 1920) || (h != null && !(h >= 16 && h <= 1920))) {
+    throw badRequest('width / height 必须在 16-1920 之间');
+  }
+
+  const isSprite = sprite === true || sprite === 'true';
+  const cols = columns != null && columns !== '' ? parseInt(columns) : Math.min(10, total);
+  if (isSprite && !(cols >= 1 && cols <= 50)) {
+    throw badRequest('columns 必须在 1-50 之间');
+  }
+
+  return { timestamps: times, count: total, width: w, height: h, format: fmt, sprite: isSprite, columns: cols };
+}
+
+/**
+ * 秒数转为 WebVTT 时间（HH:MM:SS.mmm）
+ */
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms % 3600000 / 60000);
+  const s = Math.floor(ms % 60000 / 1000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * 截取单帧
+ */
+function extractFrame(inputFile, time, outputFile, outputOptions, signal) {
+  return new Promise((resolve, reject) => {
+    killOnAbort(ffmpeg(inputFile), signal)
+      .seekInput(time)
+      .outputOptions(['-frames:v 1', ...outputOptions])
+      .output(outputFile)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  }).then(() => {
+    // 时间点落在最后几帧之后时 ffmpeg 正常退出但不输出图片
+    if (!fs.existsSync(outputFile)) throw new Error(`无法在 ${time} 秒处截取画面`);
+  });
+}
+
+/**
+ * 一次解码截取所有时间点的画面，输出 thumb_001.<ext> ...（frame.file）
+ * 每个时间点取之后的第一帧（与 -ss 精确定位一致）；相邻时间点落在同一帧时复制该帧
+ * 选中帧的实际时间从 showinfo 的日志读取
+ */
+function extractFrames(inputFile, frames, frameDir, ext, { width, height, outputOptions }, { signal, task } = {}) {
+  const select = frames.map(({ time }) => `gte(t,${time})*not(gte(prev_pts*TB,${time}))`).join('+');
+
+  return new Promise((resolve, reject) => {
+    const command = killOnAbort(ffmpeg(inputFile), signal)
+      .outputOptions('-vf', `select='${select}',showinfo,scale=${width}:${height}`)
+      .outputOptions(['-vsync 0', `-frames:v ${frames.length}`, ...outputOptions]);
+
+    if (task) trackFfmpegProgress(command, task, 'thumbnailing', frames[frames.length - 1].time);
+    command
+      .output(path.join(frameDir, `frame_%03d.${ext}`))
+      .on('end', (stdout, stderr) => resolve([...stderr.matchAll(/Parsed_showinfo.*\bpts_time:\s*(-?[\d.]+)/g)].map(match => parseFloat(match[1]))))
+      .on('error', reject)
+      .run();
+  }).then((selected) => {
+    let next = 0;
+    frames.forEach((frame, i) => {
+      // 选中的帧按时间递增，第一个不早于该时间点的就是它的画面
+      while (next < selected.length && selected[next] < frame.time - 0.0005) next++;
+      if (next >= selected.length) throw new Error(`无法在 ${frame.time} 秒处截取画面`);
+
+      frame.file = `thumb_${String(i + 1).padStart(3, '0')}.${ext}`;
+      fs.copyFileSync(path.join(frameDir, `frame_${String(next + 1).padStart(3, '0')}.${ext}`), path.join(frameDir, frame.file));
+    });
+    cleanupFiles(...selected.map((_, i) => path.join(frameDir, `frame_${String(i + 1).padStart(3, '0')}.${ext}`)));
+  });
+}
+
+/**
+ * 生成缩略图
+ * 普通模式输出 thumb_001.<ext> ...；雪碧图模式输出 sprite.<ext> 与 thumbnails.vtt
+ * 均匀取帧时第 i 帧取自第 i 段的中点；指定时间点时每帧覆盖到下一个时间点
+ * 返回写入任务 result 的描述信息
+ */
+async function generateThumbnails(inputFile, outputDir, { timestamps, count, width, height, format, sprite, columns }, { signal, task } = {}) {
+  const info = await probeMedia(inputFile);
+  const videoStream = info.streams.find(s => s.codec_type === 'video');
+  if (!videoStream) throw new Error('源文件没有视频流');
+
+  const duration = parseFloat(info.format.duration) || 0;
+  if (!duration) throw new Error('无法获取视频时长');
+
+  const outside = timestamps && timestamps.find(t => t >= duration);
+  if (outside != null) {
+    throw badRequest(`时间点 ${outside} 超出视频时长 (${duration.toFixed(3)} 秒)`);
+  }
+
+  const source = displaySize(videoStream);
+  const frameWidth = width;
+  const frameHeight = height || Math.round(source.height * width / source.width / 2) * 2;
+
+  const frames = (timestamps || Array.from({ length: count }, (_, i) => duration * (i + 0.5) / count))
+    .map((time, i, all) => ({
+      time: Math.round(time * 1000) / 1000,
+      start: timestamps ? (i === 0 ? 0 : time) : duration * i / count,
+      end: timestamps ? (all[i + 1] != null ? all[i + 1] : duration) : duration * (i + 1) / count,
+    }));
+
+  // 雪碧图先输出无损 png 再统一拼接编码
+  const frameDir = sprite ? path.join(outputDir, 'frames') : outputDir;
+  const frameExt = sprite ? 'png' : format;
+  fs.mkdirSync(frameDir, { recursive: true });
+  await extractFrames(inputFile, frames, frameDir, frameExt, {
+    width: frameWidth,
+    height: frameHeight,
+    outputOptions: sprite ? [] : IMAGE_FORMATS[format],
+  }, { signal, task });
+
+  if (!sprite) {
+    return {
+      duration,
+      width: frameWidth,
+      height: frameHeight,
+      frames: frames.map(({ time, file }) => ({ time, file })),
+    };
+  }
+
+  const cols = Math.min(columns, frames.length);
+  const rows = Math.ceil(frames.length / cols);
+  const spriteFile = `sprite.${format}`;
+
+  await new Promise((resolve, reject) => {
+    killOnAbort(ffmpeg(path.join(frameDir, 'thumb_%03d.png')), signal)
+      .inputOptions(['-start_number 1'])
+      .outputOptions([`-vf tile=${cols}x${rows}`, '-frames:v 1', ...IMAGE_FORMATS[format]])
+      .output(path.join(outputDir, spriteFile))
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+  cleanupFiles(frameDir);
+
+  const cues = frames.map((frame, i) => {
+    const x = i % cols * frameWidth;
+    const y = Math.floor(i / cols) * frameHeight;
+    return `${formatVttTime(frame.start)} --> ${formatVttTime(frame.end)}\n${spriteFile}#xywh=${x},${y},${frameWidth},${frameHeight}`;
+  });
+  fs.writeFileSync(path.join(outputDir, 'thumbnails.vtt'), `WEBVTT\n\n${cues.join('\n\n')}\n`);
+
+  return {
+    duration,
+    width: frameWidth,
+    height: frameHeight,
+    sprite: spriteFile,
+    vtt: 'thumbnails.vtt',
+    columns: cols,
+    rows,
+    frames: frames.map(({ time }) => ({ time })),
+  };
+}
+
+// ==================== 动图 ====================
+
+const ANIMATION_FORMATS = ['gif', 'webp'];
+const ANIMATION_MIN_FPS = 5;
+const ANIMATION_MIN_WIDTH = 64;
+const ANIMATION_MAX_ATTEMPTS = 6;
+
+/**
+ * 校验动图参数
+ * loop: 0 为无限循环，N 为总共播放 N 次；maxSize: 文件大小上限（字节）
+ */
+function parseAnimationOptions({ fps = 10, width = 480, loop = 0, maxSize } = {}) {
+  const options = {
+    fps: parseInt(fps),
+    width: parseInt(width),
+    loop: parseInt(loop),
+    maxSize: maxSize != null && maxSize !== '' ? parseInt(maxSize) : null,
+  };
+
+  if (!(options.fps >= 1 && options.fps <= 50)) throw badRequest('fps 必须在 1-50 之间');
+  if (!(options.width >= ANIMATION_MIN_WIDTH && options.width <= 1920)) throw badRequest(`width 必须在 ${ANIMATION_MIN_WIDTH}-1920 之间`);
+  if (!(options.loop >= 0)) throw badRequest('loop 必须是非负整数');
+  if (options.maxSize != null && !(options.maxSize > 0)) throw badRequest('maxSize 必须是正整数');
+
+  return options;
+}
+
+/**
+ * 把片段渲染为 GIF / 动态 WebP
+ * GIF 两遍处理：palettegen 生成调色板，paletteuse 按调色板编码
+ * 超出 maxSize 时先降低帧率（不低于 ANIMATION_MIN_FPS），再按比例缩小宽度后重新渲染
+ * 返回最终使用的参数
+ */
+async function renderAnimation(inputFile, outputFile, { start, duration, format, fps, width, loop, maxSize }, { signal, task } = {}) {
+  const palette = `${outputFile}.palette.png`;
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const filters = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+
+      if (format === 'gif') {
+        await new Promise((resolve, reject) => {
+          killOnAbort(ffmpeg(inputFile), signal)
+            .seekInput(start)
+            .duration(duration)
+            .videoFilters(`${filters},palettegen=stats_mode=diff`)
+            .output(palette)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+        });
+      }
+
+      await new Promise((resolve, reject) => {
+        let command = killOnAbort(ffmpeg(inputFile), signal)
+          .seekInput(start)
+          .duration(duration)
+          .noAudio();
+
+        if (format === 'gif') {
+          // gif 的 -loop: -1 不循环，0 无限，N 额外重复 N 次
+          command = command
+            .input(palette)
+            .complexFilter(`[0:v]${filters}[x];[x][1:v]paletteuse=dither=sierra2_4a:diff_mode=rectangle`)
+            .outputOptions([`-loop ${loop === 0 ? 0 : loop === 1 ? -1 : loop - 1}`]);
+        } else {
+          command = command
+            .videoFilters(filters)
+            .outputOptions(['-c:v libwebp', '-quality 75', `-loop ${loop}`]);
+        }
+
+        if (task) trackFfmpegProgress(command, task, 'trimming', duration);
+        command.output(outputFile).on('end', resolve).on('error', reject).run();
+      });
+
+      const size = fs.statSync(outputFile).size;
+      if (!maxSize || size <= maxSize) {
+        return { format, fps, width, loop, size, attempts: attempt };
+      }
+
+      const ratio = maxSize / size;
+      if (attempt >= ANIMATION_MAX_ATTEMPTS || (fps <= ANIMATION_MIN_FPS && width <= ANIMATION_MIN_WIDTH)) {
+        throw new Error(`无法压缩到 ${formatBytes(maxSize)} 以内（当前 ${formatBytes(size)}）`);
+      }
+
+      // 大小约与帧率成正比、与宽度平方成正比，留 10% 余量
+      if (fps > ANIMATION_MIN_FPS) {
+        fps = Math.max(ANIMATION_MIN_FPS, Math.min(fps - 1, Math.floor(fps * ratio * 0.9)));
+      } else {
+        width = Math.max(ANIMATION_MIN_WIDTH, Math.min(width - 2, Math.floor(width * Math.sqrt(ratio * 0.9) / 2) * 2));
+      }
+      console.log(`[Animation] ${formatBytes(size)} 超出上限，重新渲染: ${fps}fps, ${width}px`);
+    }
+  } finally {
+    cleanupFiles(palette);
+  }
+}
+
+// ==================== 字幕 ====================
+
+const SUBTITLE_MODES = ['soft', 'burn', 'sidecar'];
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+/**
+ * 常见语言的 ISO 639-1 → ISO 639-2 代码（mp4 字幕轨只接受三字母代码）
+ */
+const ISO639_2 = {
+  en: 'eng', zh: 'zho', ja: 'jpn', ko: 'kor', es: 'spa', fr: 'fra', de: 'deu', it: 'ita',
+  pt: 'por', ru: 'rus', ar: 'ara', hi: 'hin', vi: 'vie', th: 'tha', id: 'ind', ms: 'msa',
+  tr: 'tur', nl: 'nld', pl: 'pol', sv: 'swe', uk: 'ukr', he: 'heb', fa: 'fas', el: 'ell',
+};
+
+/**
+ * 整理 yt-dlp 返回的字幕表 { lang: [{ ext, url, name }] } 为列表
+ */
+function subtitleList(subtitles) {
+  return Object.entries(subtitles || {})
+    .filter(([lang]) => lang !== 'live_chat')
+    .map(([lang, tracks]) => ({
+      lang,
+      name: (tracks.find(t => t.name) || {}).name,
+      formats: [...new Set(tracks.map(t => t.ext).filter(Boolean))],
+    }));
+}
+
+/**
+ * 校验字幕参数
+ * langs: 语言列表；mode: soft 封装为字幕轨、burn 烧录进画面、sidecar 作为单独文件返回
+ * auto: 没有人工字幕时使用自动字幕；format: sidecar 文件格式；container: soft 模式的输出容器
+ */
+function parseSubtitleOptions({ langs, mode = 'soft', auto = true, format = 'srt', container = 'mp4' } = {}) {
+  const list = (Array.isArray(langs) ? langs : String(langs || '').split(','))
+    .map(lang => String(lang).trim())
+    .filter(Boolean);
+
+  if (!list.length || list.some(lang => !/^[\w-]+$/.test(lang))) {
+    throw badRequest('subtitles.langs 必须是语言代码列表');
+  }
+  if (!SUBTITLE_MODES.includes(mode)) {
+    throw badRequest(`不支持的字幕模式: ${mode}`);
+  }
+  if (!SUBTITLE_FORMATS.includes(format)) {
+    throw badRequest(`不支持的字幕格式: ${format}`);
+  }
+  if (!['mp4', 'mkv'].includes(container)) {
+    throw badRequest(`不支持的容器: ${container}`);
+  }
+
+  return { langs: [...new Set(list)], mode, auto: auto !== false && auto !== 'false', format, container };
+}
+
+/**
+ * 用 yt-dlp 下载字幕（不下载视频），文件名为 `${prefix}.<lang>.<format>`
+ * 人工字幕优先，auto 时缺失的语言用自动字幕补齐
+ * 返回 [{ lang, file }]（按请求顺序，缺失的语言跳过）
+ */
+async function downloadSubtitles(url, prefix, { langs, auto, format }, { tag, signal } = {}) {
+  await checkUrl(url);
+
+  await runYtdlp([
+    '--skip-download',
+    '--no-warnings',
+    '--no-playlist',
+    '--write-subs',
+    ...(auto ? ['--write-auto-subs'] : []),
+    '--sub-langs', langs.join(','),
+    '--convert-subs', format,
+    '-o', `${prefix}.%(ext)s`,
+    url
+  ], { tag, signal });
+
+  const tracks = langs
+    .map(lang => ({ lang, file: `${prefix}.${lang}.${format}` }))
+    .filter(track => fs.existsSync(track.file));
+
+  if (!tracks.length) {
+    throw new Error(`没有找到字幕: ${langs.join(', ')}`);
+  }
+  return tracks;
+}
+
+/**
+ * 滤镜参数值（如文件路径）转义
+ * 先按滤镜参数转义 \ ' :，再按滤镜图转义 \ ' [ ] , ;
+ */
+function filterValue(value) {
+  return String(value)
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * subtitles 滤镜（烧录字幕）
+ */
+function subtitlesFilter(file) {
+  return `subtitles=${filterValue(file)}`;
+}
+
+/**
+ * 把字幕封装为字幕轨（mp4 用 mov_text，mkv 用 webvtt），音视频直接复制
+ */
+function muxSubtitles(inputFile, tracks, outputFile, container, { signal, task } = {}) {
+  return new Promise((resolve, reject) => {
+    let command = killOnAbort(ffmpeg(inputFile), signal);
+    tracks.forEach(track => { command = command.input(track.file); });
+
+    command = command.outputOptions([
+      '-map 0:v?',
+      '-map 0:a?',
+      ...tracks.map((_, i) => `-map ${i + 1}:s`),
+      '-c:v copy',
+      '-c:a copy',
+      `-c:s ${container === 'mkv' ? 'webvtt' : 'mov_text'}`,
+      ...tracks.flatMap((track, i) => [
+        `-metadata:s:s:${i} language=${ISO639_2[track.lang.split('-')[0].toLowerCase()] || 'und'}`,
+        // 保留完整语言代码（如 zh-Hans）作为轨道名
+        `-metadata:s:s:${i} ${container === 'mkv' ? 'title' : 'handler_name'}=${track.lang}`,
+      ]),
+    ]);
+
+    if (task) trackFfmpegProgress(command, task, 'muxing');
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+}
+
+/**
+ * 把字幕烧录进画面（重新编码视频，音频直接复制）
+ */
+function burnSubtitles(inputFile, subtitleFile, outputFile, settings, { signal, task } = {}) {
+  return new Promise((resolve, reject) => {
+    const command = killOnAbort(ffmpeg(inputFile), signal)
+      .videoFilters(subtitlesFilter(subtitleFile))
+      .outputOptions([
+        '-c:v libx264',
+        `-crf ${settings.crf}`,
+        `-preset ${settings.preset}`,
+        '-c:a copy'
+      ]);
+
+    if (task) trackFfmpegProgress(command, task, 'transcoding');
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+}
+
+// ==================== 水印 ====================
+
+/**
+ * 水印位置 → overlay / drawtext 的 x、y 表达式
+ * W/H 为画面尺寸，w/h 为水印尺寸，m 为边距
+ */
+const WATERMARK_POSITIONS = {
+  'top-left': (W, H, w, h, m) => [m, m],
+  'top': (W, H, w, h, m) => [`(${W}-${w})/2`, m],
+  'top-right': (W, H, w, h, m) => [`${W}-${w}-${m}`, m],
+  'left': (W, H, w, h, m) => [m, `(${H}-${h})/2`],
+  'center': (W, H, w, h, m) => [`(${W}-${w})/2`, `(${H}-${h})/2`],
+  'right': (W, H, w, h, m) => [`${W}-${w}-${m}`, `(${H}-${h})/2`],
+  'bottom-left': (W, H, w, h, m) => [m, `${H}-${h}-${m}`],
+  'bottom': (W, H, w, h, m) => [`(${W}-${w})/2`, `${H}-${h}-${m}`],
+  'bottom-right': (W, H, w, h, m) => [`${W}-${w}-${m}`, `${H}-${h}-${m}`],
+};
+
+/**
+ * 文字水印中的动态变量
+ * {timestamp} 为播放时间（逐帧变化），{title} / {uploader} / {date} 来自 yt-dlp 元数据，{now} 为处理时间
+ */
+const WATERMARK_TOKENS = /\{(timestamp|title|uploader|date|now)\}/g;
+const WATERMARK_METADATA_TOKENS = /\{(title|uploader|date)\}/;
+
+/**
+ * 校验水印参数
+ * hasUpload: 是否上传了 watermark 图片文件
+ */
+function parseWatermarkOptions(watermark, hasUpload = false) {
+  const {
+    type = watermark.text != null ? 'text' : 'image',
+    imageUrl,
+    text,
+    position = 'bottom-right',
+    margin = 20,
+    scale = 0.15,
+    opacity = 1,
+    font = WATERMARK_FONT,
+    fontSize = 24,
+    fontColor = 'white',
+    box = false,
+    boxColor = 'black@0.5',
+    start,
+    end,
+  } = watermark;
+
+  if (!['image', 'text'].includes(type)) throw badRequest(`不支持的水印类型: ${type}`);
+  if (!WATERMARK_POSITIONS[position]) throw badRequest(`不支持的水印位置: ${position}`);
+
+  const options = {
+    type,
+    position,
+    margin: parseInt(margin),
+    start: start != null && start !== '' ? parseFloat(start) : null,
+    end: end != null && end !== '' ? parseFloat(end) : null,
+  };
+  if (!(options.margin >= 0 && options.margin <= 1000)) throw badRequest('margin 必须在 0-1000 之间');
+  if ((options.start != null && !(options.start >= 0)) || (options.end != null && !(options.end > (options.start || 0)))) {
+    throw badRequest('水印时间范围无效');
+  }
+
+  if (type === 'image') {
+    if (!imageUrl && !hasUpload) throw badRequest('图片水印缺少 imageUrl');
+    Object.assign(options, { imageUrl, scale: parseFloat(scale), opacity: parseFloat(opacity) });
+    if (!(options.scale > 0 && options.scale <= 1)) throw badRequest('scale 必须在 0-1 之间');
+    if (!(options.opacity >= 0 && options.opacity <= 1)) throw badRequest('opacity 必须在 0-1 之间');
+    return options;
+  }
+
+  if (!text || String(text).length > 500) throw badRequest('文字水印 text 不能为空且不超过 500 字');
+  // 字体名、颜色直接写入滤镜参数，只允许安全字符
+  if (!/^[\w .-]+$/.test(font)) throw badRequest(`无效的字体: ${font}`);
+  if (![fontColor, boxColor].every(color => /^[#\w@.]+$/.test(color))) throw badRequest('无效的颜色');
+
+  Object.assign(options, {
+    text: String(text),
+    font,
+    fontSize: parseInt(fontSize),
+    fontColor,
+    box: box === true || box === 'true',
+    boxColor,
+  });
+  if (!(options.fontSize >= 8 && options.fontSize <= 300)) throw badRequest('fontSize 必须在 8-300 之间');
+  return options;
+}
+
+/**
+ * 文字水印需要的元数据：yt-dlp 页面取标题、作者、上传日期，其他来源用 URL 文件名作为标题
+ */
+async function watermarkMetadata(url, { signal } = {}) {
+  if (url && needsYtdlp(url)) {
+    const info = await fetchYtdlpInfo(url, { signal });
+    const date = info.upload_date ? info.upload_date.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3') : '';
+    return { title: info.title || '', uploader: info.uploader || info.channel || '', date };
+  }
+
+  let title = '';
+  try {
+    title = decodeURIComponent(path.basename(new URL(url).pathname, path.extname(new URL(url).pathname)));
+  } catch (e) { /* 上传文件或无效 URL */ }
+  return { title, uploader: '', date: '' };
+}
+
+/**
+ * 展开文字水印中的变量，输出 drawtext textfile 内容
+ * textfile 中 \ 与 % 有特殊含义，字面文本需要转义；{timestamp} 展开为 drawtext 的 %{pts}
+ */
+function expandWatermarkText(text, metadata = {}) {
+  const escape = str => String(str).replace(/[\\%]/g, '\\$&');
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(WATERMARK_TOKENS)) {
+    result += escape(text.slice(last, match.index));
+    result += match[1] === 'timestamp' ? '%{pts:hms}' : escape(match[1] === 'now' ? now : metadata[match[1]] || '');
+    last = match.index + match[0].length;
+  }
+  return result + escape(text.slice(last));
+}
+
+/**
+ * 准备水印素材（写入 `${prefix}_watermark`）：图片水印下载 / 移动上传文件，文字水印写入 textfile
+ * 返回带 file 字段的水印参数
+ */
+async function prepareWatermark(watermark, { file, videoUrl }, prefix, options = {}) {
+  if (watermark.type === 'image') {
+    const imageFile = await fetchInput({ url: watermark.imageUrl, file }, `${prefix}_watermark`, {}, options);
+    return { ...watermark, file: imageFile };
+  }
+
+  const metadata = WATERMARK_METADATA_TOKENS.test(watermark.text) ? await watermarkMetadata(videoUrl, options) : {};
+  const textFile = path.join(TEMP_DIR, `${prefix}_watermark`);
+  fs.writeFileSync(textFile, expandWatermarkText(watermark.text, metadata));
+  return { ...watermark, file: textFile };
+}
+
+/**
+ * 水印滤镜：输入标签 [base]，输出标签 [watermarked]
+ * 图片水印宽度按画面宽度的 scale 比例缩放，imageInput 为图片的输入序号
+ */
+function watermarkFilter(watermark, imageInput = 1) {
+  const { type, position, margin, start, end } = watermark;
+  let enable = '';
+  if (start != null || end != null) {
+    enable = end != null
+      ? `:enable='between(t,${start || 0},${end})'`
+      : `:enable='gte(t,${start})'`;
+  }
+
+  if (type === 'image') {
+    const [x, y] = WATERMARK_POSITIONS[position]('main_w', 'main_h', 'overlay_w', 'overlay_h', margin);
+    return [
+      `[${imageInput}:v][base]scale2ref=w=main_w*${watermark.scale}:h=ow/a[logo][ref]`,
+      `[logo]format=rgba,colorchannelmixer=aa=${watermark.opacity}[mark]`,
+      `[ref][mark]overlay=x=${x}:y=${y}${enable}[watermarked]`,
+    ].join(';');
+  }
+
+  const [x, y] = WATERMARK_POSITIONS[position]('w', 'h', 'tw', 'th', margin);
+  const boxOptions = watermark.box ? `:box=1:boxcolor=${watermark.boxColor}:boxborderw=${Math.round(watermark.fontSize / 3)}` : '';
+  return `[base]drawtext=textfile=${filterValue(watermark.file)}:font=${filterValue(watermark.font)}` +
+    `:fontsize=${watermark.fontSize}:fontcolor=${watermark.fontColor}${boxOptions}:x=${x}:y=${y}${enable}[watermarked]`;
+}
+
+/**
+ * 为视频添加水印（重新编码视频，音频直接复制）
+ * videoFilter 在水印之前作用于画面（如烧录字幕），同一次编码完成
+ */
+function renderWatermark(inputFile, outputFile, watermark, settings, { signal, task, videoFilter } = {}) {
+  return new Promise((resolve, reject) => {
+    let command = killOnAbort(ffmpeg(inputFile), signal);
+    if (watermark.type === 'image') command = command.input(watermark.file);
+
+    command = command
+      .complexFilter(`[0:v]${videoFilter || 'null'}[base];${watermarkFilter(watermark)}`)
+      .outputOptions([
+        '-map [watermarked]',
+        '-map 0:a?',
+        '-c:v libx264',
+        `-crf ${settings.crf}`,
+        `-preset ${settings.preset}`,
+        '-c:a copy'
+      ]);
+
+    if (task) trackFfmpegProgress(command, task, 'watermarking');
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+}
+
+// ==================== 画面变换 ====================
+
+const REFRAME_MODES = ['pad', 'blur', 'crop'];
+const ROTATE_FILTERS = { 0: [], 90: ['transpose=1'], 180: ['hflip', 'vflip'], 270: ['transpose=2'] };
+const FLIP_FILTERS = { horizontal: ['hflip'], vertical: ['vflip'], both: ['hflip', 'vflip'] };
+
+/**
+ * 校验画面变换参数，没有任何变换时返回 null
+ * resolution: 目标高度（720 或 '720p'），宽度按比例计算；maxWidth / maxHeight: 超出时等比缩小
+ * crop: { width, height, x, y } 按源画面裁剪，x / y 省略时居中
+ * aspect + reframe: 调整画面比例（如 '9:16'），pad 加黑边、blur 模糊背景填充、crop 居中裁剪
+ * rotate: 顺时针旋转 90 / 180 / 270；flip: horizontal / vertical / both；fps: 输出帧率
+ */
+function parseTransformOptions({ resolution, maxWidth, maxHeight, crop, aspect, reframe = 'pad', rotate, flip, fps } = {}) {
+  const positive = (value, name, max) => {
+    if (value == null || value === '') return null;
+    const number = parseFloat(value);
+    if (!(number > 0 && number <= max)) throw badRequest(`${name} 无效: ${value}`);
+    return number;
+  };
+
+  const options = {
+    resolution: positive(typeof resolution === 'string' ? resolution.replace(/p$/i, '') : resolution, 'resolution', 4320),
+    maxWidth: positive(maxWidth, 'maxWidth', 7680),
+    maxHeight: positive(maxHeight, 'maxHeight', 4320),
+    crop: null,
+    aspect: null,
+    reframe,
+    rotate: rotate != null && rotate !== '' ? parseInt(rotate) : 0,
+    flip: flip || null,
+    fps: positive(fps, 'fps', 120),
+  };
+
+  if (crop) {
+    const offset = (value, name) => {
+      if (value == null || value === '') return null;
+      const number = parseFloat(value);
+      if (!(number >= 0)) throw badRequest(`${name} 无效: ${value}`);
+      return number;
+    };
+    options.crop = {
+      width: positive(crop.width, 'crop.width', 7680),
+      height: positive(crop.height, 'crop.height', 4320),
+      x: offset(crop.x, 'crop.x'),
+      y: offset(crop.y, 'crop.y'),
+    };
+    if (!options.crop.width || !options.crop.height) throw badRequest('crop 需要 width 和 height');
+  }
+
+  if (aspect) {
+    const match = /^(\d+(?:\.\d+)?)[:/](\d+(?:\.\d+)?)$/.exec(String(aspect));
+    if (!match || !(match[1] > 0 && match[2] > 0)) throw badRequest(`aspect 无效: ${aspect}，应为 16:9 形式`);
+    options.aspect = match[1] / match[2];
+    if (!REFRAME_MODES.includes(reframe)) throw badRequest(`不支持的 reframe: ${reframe}`);
+  }
+
+  if (!ROTATE_FILTERS[options.rotate]) throw badRequest('rotate 只支持 90 / 180 / 270');
+  if (options.flip && !FLIP_FILTERS[options.flip]) throw badRequest(`不支持的 flip: ${flip}`);
+
+  const { resolution: height, maxWidth: mw, maxHeight: mh } = options;
+  return height || mw || mh || options.crop || options.aspect || options.rotate || options.flip || options.fps ? options : null;
+}
+
+/**
+ * 根据源画面尺寸生成变换滤镜，顺序为 帧率 → 裁剪 → 旋转 / 翻转 → 画面比例 → 缩放
+ * 尺寸按偶数计算以满足 yuv420p 编码；filter 为单输入单输出的滤镜图，可以继续用逗号接其他滤镜
+ * 返回 { filter, width, height }
+ */
+function transformFilter(options, { width, height }) {
+  const even = value => Math.max(2, Math.floor(value / 2) * 2);
+  const evenUp = value => Math.ceil(value / 2) * 2;
+  const filters = [];
+  let w = width;
+  let h = height;
+
+  if (options.fps) filters.push(`fps=${options.fps}`);
+
+  if (options.crop) {
+    const crop = options.crop;
+    const cw = even(crop.width);
+    const ch = even(crop.height);
+    const x = crop.x != null ? Math.floor(crop.x) : Math.floor((w - cw) / 2);
+    const y = crop.y != null ? Math.floor(crop.y) : Math.floor((h - ch) / 2);
+    if (x < 0 || y < 0 || x + cw > w || y + ch > h) throw badRequest(`crop 超出画面范围 (${w}x${h})`);
+    filters.push(`crop=${cw}:${ch}:${x}:${y}`);
+    w = cw;
+    h = ch;
+  }
+
+  filters.push(...ROTATE_FILTERS[options.rotate]);
+  if (options.rotate % 180) [w, h] = [h, w];
+  if (options.flip) filters.push(...FLIP_FILTERS[options.flip]);
+
+  if (options.aspect) {
+    const ratio = options.aspect;
+    if (options.reframe === 'crop') {
+      const cw = even(Math.min(w, h * ratio));
+      const ch = even(Math.min(h, w / ratio));
+      if (cw !== w || ch !== h) filters.push(`crop=${cw}:${ch}`);
+      w = cw;
+      h = ch;
+    } else if (Math.abs(w / h - ratio) > 0.01) {
+      const cw = evenUp(Math.max(w, h * ratio));
+      const ch = evenUp(Math.max(h, w / ratio));
+      if (options.reframe === 'pad') {
+        filters.push(`pad=${cw}:${ch}:(ow-iw)/2:(oh-ih)/2:black`);
+      } else {
+        // 背景放大铺满画布后模糊，原画面居中叠加
+        const radius = Math.max(1, Math.min(20, Math.floor(Math.min(cw, ch) / 20)));
+        filters.push(
+          `split[rf_fg][rf_bg];[rf_bg]scale=${cw}:${ch}:force_original_aspect_ratio=increase,crop=${cw}:${ch},` +
+          `boxblur=${radius}:2[rf_blur];[rf_blur][rf_fg]overlay=(W-w)/2:(H-h)/2`
+        );
+      }
+      w = cw;
+      h = ch;
+    }
+  }
+
+  let targetWidth = w;
+  let targetHeight = h;
+  if (options.resolution) {
+    targetHeight = options.resolution;
+    targetWidth = w * targetHeight / h;
+  }
+  const shrink = Math.min(1,
+    options.maxWidth ? options.maxWidth / targetWidth : 1,
+    options.maxHeight ? options.maxHeight / targetHeight : 1);
+  targetWidth = even(targetWidth * shrink);
+  targetHeight = even(targetHeight * shrink);
+  if (targetWidth !== w || targetHeight !== h) {
+    filters.push(`scale=${targetWidth}:${targetHeight}`, 'setsar=1');
+  }
+
+  return { filter: filters.length ? filters.join(',') : 'null', width: targetWidth, height: targetHeight };
+}
+
+// ==================== 音频处理 ====================
+
+const AUDIO_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+const LOUDNORM_DEFAULTS = { lufs: -16, truePeak: -1.5, lra: 11 };
+const SILENCE_DEFAULTS = { threshold: -50, duration: 0.5 };
+
+/**
+ * 校验音频处理参数，没有任何处理时返回 null
+ * normalize: true 或 { lufs, truePeak, lra }，EBU R128 两遍 loudnorm
+ * fadeIn / fadeOut: 淡入淡出时长（秒）
+ * trimSilence: true 或 { threshold, duration }，去掉开头和结尾低于 threshold dB 且长于 duration 秒的静音
+ * mono: 混成单声道；sampleRate: 输出采样率
+ */
+function parseAudioOptions({ normalize, fadeIn, fadeOut, trimSilence, mono, sampleRate } = {}) {
+  const number = (value, name, min, max, fallback = null) => {
+    if (value == null || value === '') return fallback;
+    const parsed = parseFloat(value);
+    if (!(parsed >= min && parsed <= max)) throw badRequest(`${name} 必须在 ${min} 到 ${max} 之间`);
+    return parsed;
+  };
+  const enabled = value => value === true || value === 'true' || (value !== null && typeof value === 'object');
+
+  const options = {
+    normalize: null,
+    fadeIn: number(fadeIn, 'fadeIn', 0, 60),
+    fadeOut: number(fadeOut, 'fadeOut', 0, 60),
+    trimSilence: null,
+    mono: mono === true || mono === 'true',
+    sampleRate: null,
+  };
+
+  if (enabled(normalize)) {
+    const { lufs, truePeak, lra } = typeof normalize === 'object' ? normalize : {};
+    options.normalize = {
+      lufs: number(lufs, 'normalize.lufs', -70, -5, LOUDNORM_DEFAULTS.lufs),
+      truePeak: number(truePeak, 'normalize.truePeak', -9, 0, LOUDNORM_DEFAULTS.truePeak),
+      lra: number(lra, 'normalize.lra', 1, 20, LOUDNORM_DEFAULTS.lra),
+    };
+  }
+
+  if (enabled(trimSilence)) {
+    const { threshold, duration } = typeof trimSilence === 'object' ? trimSilence : {};
+    options.trimSilence = {
+      threshold: number(threshold, 'trimSilence.threshold', -90, 0, SILENCE_DEFAULTS.threshold),
+      duration: number(duration, 'trimSilence.duration', 0.1, 10, SILENCE_DEFAULTS.duration),
+    };
+  }
+
+  if (sampleRate != null && sampleRate !== '') {
+    options.sampleRate = parseInt(sampleRate);
+    if (!AUDIO_SAMPLE_RATES.includes(options.sampleRate)) {
+      throw badRequest(`sampleRate 只支持 ${AUDIO_SAMPLE_RATES.join(' / ')}`);
+    }
+  }
+
+  const { normalize: loudness, fadeIn: fin, fadeOut: fout, trimSilence: silence } = options;
+  return loudness || fin || fout || silence || options.mono || options.sampleRate ? options : null;
+}
+
+/**
+ * 各音频格式的编码参数
+ */
+function audioCodecOptions(format, bitrate) {
+  if (format === 'mp3') return ['-c:a libmp3lame', `-b:a ${bitrate}k`];
+  if (format === 'm4a' || format === 'aac') return ['-c:a aac', `-b:a ${bitrate}k`];
+  if (format === 'wav') return ['-c:a pcm_s16le'];
+  return [];
+}
+
+/**
+ * 从 ffmpeg 日志中取出 loudnorm 输出的 JSON 统计
+ */
+function parseLoudnormStats(stderr) {
+  const match = /\{[^{}]*"input_i"[^{}]*\}/.exec(stderr || '');
+  if (!match) return null;
+  const stats = JSON.parse(match[0]);
+  const value = key => stats[key] != null && isFinite(parseFloat(stats[key])) ? parseFloat(stats[key]) : null;
+  return {
+    input: { i: value('input_i'), tp: value('input_tp'), lra: value('input_lra'), thresh: value('input_thresh') },
+    output: { i: value('output_i'), tp: value('output_tp'), lra: value('output_lra'), thresh: value('output_thresh') },
+    offset: value('target_offset'),
+    type: stats.normalization_type || null,
+  };
+}
+
+/**
+ * 根据 silencedetect 日志计算去掉首尾静音后的范围
+ * 结尾的静音在旧版 ffmpeg 中没有 silence_end，视为一直持续到结束
+ */
+function silenceBounds(stderr, duration) {
+  const starts = [...stderr.matchAll(/silence_start: (-?[\d.]+)/g)].map(match => parseFloat(match[1]));
+  const ends = [...stderr.matchAll(/silence_end: ([\d.]+)/g)].map(match => parseFloat(match[1]));
+  let start = 0;
+  let end = duration;
+
+  if (starts.length && starts[0] <= 0.01 && ends.length) start = ends[0];
+  if (starts.length && (ends.length < starts.length || ends[ends.length - 1] >= duration - 0.05)) {
+    end = starts[starts.length - 1];
+  }
+  // 整段都是静音时不裁剪
+  return end - start > 0.1 ? { start, end } : { start: 0, end: duration };
+}
+
+/**
+ * 执行 ffmpeg 并返回 stderr（loudnorm / silencedetect 的结果只出现在日志里）
+ */
+function runFfmpegWithLog(command, outputFile) {
+  return new Promise((resolve, reject) => {
+    command
+      .output(outputFile)
+      .on('end', (stdout, stderr) => resolve(stderr || ''))
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * 提取音频
+ * 需要响度标准化或去静音时先分析一遍（phase: analyzing），再按测量值线性标准化、裁剪、淡入淡出
+ * 返回 { duration, trimmed, loudness } 统计，没有音频处理时返回 null
+ */
+async function extractAudio(inputFile, outputFile, { format, bitrate, processing }, { signal, task } = {}) {
+  const codec = audioCodecOptions(format, bitrate);
+
+  if (!processing) {
+    const command = killOnAbort(ffmpeg(inputFile), signal).noVideo().outputOptions(codec);
+    if (task) trackFfmpegProgress(command, task, 'transcoding');
+    await runFfmpegWithLog(command, outputFile);
+    return null;
+  }
+
+  const info = await probeMedia(inputFile);
+  const audioStream = info.streams.find(s => s.codec_type === 'audio');
+  if (!audioStream) throw badRequest('输入文件没有音轨');
+  const duration = parseFloat(info.format.duration) || parseFloat(audioStream.duration) || 0;
+  const { normalize, trimSilence, fadeIn, fadeOut, mono } = processing;
+
+  let measured = null;
+  let range = { start: 0, end: duration };
+  if (normalize || trimSilence) {
+    const analysis = [];
+    if (trimSilence) analysis.push(`silencedetect=n=${trimSilence.threshold}dB:d=${trimSilence.duration}`);
+    if (normalize) analysis.push(`loudnorm=I=${normalize.lufs}:TP=${normalize.truePeak}:LRA=${normalize.lra}:print_format=json`);
+
+    const command = killOnAbort(ffmpeg(inputFile), signal)
+      .noVideo()
+      .audioFilters(analysis)
+      .outputOptions('-f null');
+    if (task) trackFfmpegProgress(command, task, 'analyzing', duration);
+    const stderr = await runFfmpegWithLog(command, '-');
+
+    if (trimSilence) range = silenceBounds(stderr, duration);
+    if (normalize) {
+      measured = parseLoudnormStats(stderr);
+      if (!measured) throw new Error('响度分析失败');
+      if (measured.input.i == null) throw badRequest('音频为静音，无法标准化响度');
+    }
+  }
+
+  const length = range.end - range.start;
+  const filters = [];
+  if (range.start > 0 || range.end < duration) {
+    filters.push(`atrim=start=${range.start.toFixed(3)}:end=${range.end.toFixed(3)}`, 'asetpts=PTS-STARTPTS');
+  }
+  if (normalize) {
+    const { input } = measured;
+    filters.push(
+      `loudnorm=I=${normalize.lufs}:TP=${normalize.truePeak}:LRA=${normalize.lra}` +
+      `:measured_I=${input.i}:measured_TP=${input.tp}:measured_LRA=${input.lra}:measured_thresh=${input.thresh}` +
+      `:offset=${measured.offset}:linear=true:print_format=json`
+    );
+  }
+  if (fadeIn) filters.push(`afade=t=in:st=0:d=${Math.min(fadeIn, length)}`);
+  if (fadeOut) filters.push(`afade=t=out:st=${Math.max(0, length - fadeOut).toFixed(3)}:d=${Math.min(fadeOut, length)}`);
+
+  // loudnorm 会把采样率升到 192kHz，需要重新指定输出采样率
+  const sampleRate = processing.sampleRate || (normalize ? Math.min(parseInt(audioStream.sample_rate) || 48000, 48000) : null);
+  const output = [...codec];
+  if (sampleRate) output.push(`-ar ${sampleRate}`);
+  if (mono) output.push('-ac 1');
+
+  let command = killOnAbort(ffmpeg(inputFile), signal).noVideo().outputOptions(output);
+  if (filters.length) command = command.audioFilters(filters);
+  if (task) trackFfmpegProgress(command, task, 'transcoding', length);
+  const stderr = await runFfmpegWithLog(command, outputFile);
+
+  const result = {
+    duration: length,
+    trimmed: trimSilence ? { start: range.start, end: range.end } : undefined,
+    loudness: undefined,
+  };
+  if (normalize) {
+    const final = parseLoudnormStats(stderr);
+    result.loudness = {
+      target: normalize,
+      input: measured.input,
+      output: final ? final.output : null,
+      type: final ? final.type : null,
+    };
+  }
+  return result;
+}
+
+// ==================== 音频标签 ====================
+
+const TAGGABLE_FORMATS = ['mp3', 'm4a'];
+
+/**
+ * 校验标签参数
+ * tags: 覆盖自动生成的标签，如 { title, artist, album, date, genre, track, comment }，值为空字符串时删除该标签
+ * cover: true 嵌入封面（默认）、false 不嵌入、'square' 居中裁剪成正方形；coverUrl: 自定义封面图片
+ * 只有 mp3 / m4a 写入标签，其他格式返回 null
+ */
+function parseTagOptions({ tags, cover = true, coverUrl } = {}, format) {
+  if (tags != null && (typeof tags !== 'object' || Array.isArray(tags))) throw badRequest('tags 必须是对象');
+  if (!TAGGABLE_FORMATS.includes(format)) {
+    if (tags || coverUrl) throw badRequest('仅 mp3 / m4a 支持标签和封面');
+    return null;
+  }
+
+  const entries = Object.entries(tags || {}).map(([key, value]) => {
+    if (!/^[a-z][a-z0-9_]{0,31}$/i.test(key)) throw badRequest(`无效的标签名: ${key}`);
+    if (value != null && typeof value !== 'string' && typeof value !== 'number') throw badRequest(`标签 ${key} 的值必须是字符串`);
+    const text = value == null ? '' : String(value);
+    if (text.length > 4000) throw badRequest(`标签 ${key} 过长`);
+    return [key.toLowerCase(), text];
+  });
+
+  if (![true, false, 'true', 'false', 'square'].includes(cover)) throw badRequest(`不支持的 cover: ${cover}`);
+
+  return {
+    tags: Object.fromEntries(entries),
+    cover: cover !== false && cover !== 'false',
+    square: cover === 'square',
+    coverUrl: coverUrl || null,
+  };
+}
+
+/**
+ * yt-dlp 元数据转为标签，对应关系与 yt-dlp --embed-metadata 一致（comment / purl 为来源页面）
+ */
+function ytdlpTags(info) {
+  return {
+    title: info.track || info.title,
+    artist: info.artist || info.creator || info.uploader || info.channel,
+    album: info.album,
+    date: info.upload_date ? info.upload_date.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3') : undefined,
+    description: info.description,
+    comment: info.webpage_url,
+    purl: info.webpage_url,
+  };
+}
+
+/**
+ * 准备标签与封面：yt-dlp 来源读取元数据和缩略图，再合并请求中的 tags
+ * 封面统一转成 JPEG 写入 `${prefix}_cover.jpg`；没有任何标签和封面时返回 null
+ */
+async function prepareAudioTags({ tags, cover, square, coverUrl }, videoUrl, prefix, { signal, maxFileSize } = {}) {
+  let info = null;
+  if (videoUrl && needsYtdlp(videoUrl)) {
+    try {
+      info = await fetchYtdlpInfo(videoUrl, { signal });
+    } catch (error) {
+      // 元数据只是附加信息，读取失败时仍然输出音频
+      if (signal && signal.aborted) throw error;
+      console.warn(`[Tags] 读取元数据失败: ${error.message}`);
+    }
+  }
+
+  const merged = { ...(info ? ytdlpTags(info) : {}), ...tags };
+  const result = {
+    tags: Object.fromEntries(Object.entries(merged).filter(([, value]) => value != null)),
+    coverFile: null,
+  };
+
+  const imageUrl = cover ? coverUrl || (info && info.thumbnail) : null;
+  if (imageUrl) {
+    const sourceFile = path.join(TEMP_DIR, `${prefix}_cover_source`);
+    const coverFile = path.join(TEMP_DIR, `${prefix}_cover.jpg`);
+    try {
+      await fetchInput({ url: imageUrl }, `${prefix}_cover_source`, {}, { signal, maxFileSize });
+      await extractFrame(sourceFile, 0, coverFile, [...(square ? ["-vf crop='min(iw,ih)':'min(iw,ih)'"] : []), '-q:v 2'], signal);
+      result.coverFile = coverFile;
+    } catch (error) {
+      // 自定义封面失败直接报错；自动获取的缩略图失败时跳过封面
+      if (coverUrl || (signal && signal.aborted)) throw error;
+      console.warn(`[Tags] 封面处理失败: ${error.message}`);
+    } finally {
+      cleanupFiles(sourceFile);
+    }
+  }
+
+  return Object.keys(result.tags).length || result.coverFile ? result : null;
+}
+
+/**
+ * 写入标签与封面（流复制，不重新编码）
+ * mp3 写 ID3v2.3，m4a 写 MP4 标签，封面作为 attached_pic 视频流
+ */
+function tagAudio(audioFile, outputFile, { format, tags, coverFile }, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    let command = killOnAbort(ffmpeg(audioFile), signal);
+    if (coverFile) command = command.input(coverFile);
+
+    command = command.outputOptions(['-map 0:a', '-c copy']);
+    if (coverFile) {
+      command = command
+        .outputOptions(['-map 1:v', '-disposition:v attached_pic'])
+        .outputOptions('-metadata:s:v', 'comment=Cover (front)');
+    }
+    if (format === 'mp3') command = command.outputOptions('-id3v2_version 3');
+    for (const [key, value] of Object.entries(tags)) {
+      // 多参数调用时不会按空格拆分，标签值可以包含空格
+      command = command.outputOptions('-metadata', `${key}=${value}`);
+    }
+
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+}
+
+/**
+ * 给提取的音频写入标签与封面，返回新文件；没有可写入的内容时返回原文件
+ */
+async function applyAudioTags(audioFile, format, tagging, videoUrl, prefix, { signal, maxFileSize } = {}) {
+  const prepared = await prepareAudioTags(tagging, videoUrl, prefix, { signal, maxFileSize });
+  if (!prepared) return audioFile;
+
+  const outputFile = path.join(TEMP_DIR, `${prefix}_tagged.${format}`);
+  try {
+    await tagAudio(audioFile, outputFile, { format, ...prepared }, { signal });
+  } finally {
+    cleanupFiles(prepared.coverFile);
+  }
+  cleanupFiles(audioFile);
+  return outputFile;
+}
+
+// ==================== 拼接 ====================
+
+const MAX_CONCAT_INPUTS = 20;
+
+// 可以直接流复制进 mp4 的编码
+const CONCAT_COPY_VIDEO_CODECS = ['h264', 'hevc'];
+const CONCAT_COPY_AUDIO_CODECS = ['aac', 'mp3'];
+
+/**
+ * 校验拼接参数
+ * inputs: 按顺序的片段 [{ url, start, end }]（也可以直接是 URL 字符串）
+ * transition: { type: 'crossfade', duration } 片段之间的交叉淡化
+ */
+function parseConcatOptions({ inputs, transition, quality = 'high' } = {}) {
+  if (!Array.isArray(inputs) || inputs.length < 2 || inputs.length > MAX_CONCAT_INPUTS) {
+    throw badRequest(`inputs 必须包含 2-${MAX_CONCAT_INPUTS} 个片段`);
+  }
+
+  const clips = inputs.map((input, i) => {
+    const clip = typeof input === 'string' ? { url: input } : (input || {});
+    const start = clip.start != null && clip.start !== '' ? parseFloat(clip.start) : null;
+    const end = clip.end != null && clip.end !== '' ? parseFloat(clip.end) : null;
+
+    if (!clip.url) throw badRequest(`inputs[${i}] 缺少 url`);
+    if (start != null && !(start >= 0)) throw badRequest(`inputs[${i}].start 无效`);
+    if (end != null && !(end > (start || 0))) throw badRequest(`inputs[${i}].end 必须大于 start`);
+    return { url: clip.url, start, end };
+  });
+
+  let fade = null;
+  if (transition) {
+    const { type = 'crossfade', duration = 1 } = transition;
+    if (type !== 'crossfade') throw badRequest(`不支持的转场: ${type}`);
+    fade = { type, duration: parseFloat(duration) };
+    if (!(fade.duration > 0 && fade.duration <= 5)) throw badRequest('转场时长必须在 0-5 秒之间');
+  }
+
+  return { clips, transition: fade, quality };
+}
+
+/**
+ * 帧率字符串（如 30000/1001）转为数字
+ */
+function parseFrameRate(rate) {
+  const [num, den = 1] = String(rate || '').split('/').map(Number);
+  return num && den ? num / den : null;
+}
+
+/**
+ * 拼接片段
+ * 所有片段编码参数一致、没有转场且未要求 reencode 时，用 concat demuxer 流复制（inpoint / outpoint 裁剪，切点落在关键帧）
+ * 否则统一为第一个片段的分辨率、帧率和 48kHz 立体声后重新编码，没有音轨的片段补静音
+ * 返回 { mode: 'copy' | 'reencode', duration }
+ */
+async function concatClips(files, outputFile, { clips, transition, quality, reencode = false }, { signal, task } = {}) {
+  const infos = await Promise.all(files.map(probeMedia));
+
+  const parts = infos.map((info, i) => {
+    const video = info.streams.find(s => s.codec_type === 'video');
+    const audio = info.streams.find(s => s.codec_type === 'audio');
+    if (!video) throw badRequest(`第 ${i + 1} 个片段没有视频流`);
+
+    const duration = parseFloat(info.format.duration) || 0;
+    const from = clips[i].start || 0;
+    const to = clips[i].end != null ? clips[i].end : duration;
+    if (from >= duration || to > duration) {
+      throw badRequest(`第 ${i + 1} 个片段的剪辑范围超出视频时长 (${duration.toFixed(3)} 秒)`);
+    }
+    if (transition && to - from <= transition.duration) {
+      throw badRequest(`第 ${i + 1} 个片段比转场时长短`);
+    }
+    return { video, audio, from, to, length: to - from };
+  });
+
+  const overlap = transition ? transition.duration * (parts.length - 1) : 0;
+  const totalLength = parts.reduce((sum, part) => sum + part.length, 0) - overlap;
+
+  const signature = ({ video, audio }) => JSON.stringify([
+    video.codec_name, video.width, video.height, video.pix_fmt, video.r_frame_rate,
+    audio && audio.codec_name, audio && audio.sample_rate, audio && audio.channels,
+  ]);
+  const copy = !reencode && !transition &&
+    parts.every(part => signature(part) === signature(parts[0])) &&
+    CONCAT_COPY_VIDEO_CODECS.includes(parts[0].video.codec_name) &&
+    (!parts[0].audio || CONCAT_COPY_AUDIO_CODECS.includes(parts[0].audio.codec_name));
+
+  if (copy) {
+    const listFile = `${outputFile}.txt`;
+    const lines = ['ffconcat version 1.0'];
+    files.forEach((file, i) => {
+      lines.push(`file '${file.replace(/'/g, "'\\''")}'`);
+      if (clips[i].start != null) lines.push(`inpoint ${parts[i].from}`);
+      if (clips[i].end != null) lines.push(`outpoint ${parts[i].to}`);
+    });
+    fs.writeFileSync(listFile, lines.join('\n') + '\n');
+
+    try {
+      await new Promise((resolve, reject) => {
+        const command = killOnAbort(ffmpeg(listFile), signal)
+          .inputOptions(['-f concat', '-safe 0'])
+          .outputOptions(['-map 0:v', '-map 0:a?', '-c copy', '-movflags +faststart']);
+        if (task) trackFfmpegProgress(command, task, 'concatenating', totalLength);
+        command.output(outputFile).on('end', resolve).on('error', reject).run();
+      });
+    } finally {
+      cleanupFiles(listFile);
+    }
+    return { mode: 'copy', duration: totalLength };
+  }
+
+  const { width, height } = displaySize(parts[0].video);
+  const targetWidth = width - width % 2;
+  const targetHeight = height - height % 2;
+  const fps = Math.min(60, parseFrameRate(parts[0].video.r_frame_rate) || 30);
+
+  const filters = [];
+  parts.forEach((part, i) => {
+    const range = `start=${part.from}:end=${part.to}`;
+    filters.push(
+      // fps 放在 trim 之前：ffmpeg 4.x 的 setpts 不平移 EOF 时间戳，fps 在其后会一直补重复帧到 trim 的 end（裁剪前的时间）
+      `[${i}:v]fps=${fps},trim=${range},setpts=PTS-STARTPTS,` +
+      `scale=${targetWidth}:${targetHeight}:force_original_aspect_ratio=decrease,` +
+      `pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[v${i}]`,
+      part.audio
+        ? `[${i}:a]atrim=${range},asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`
+        : `anullsrc=r=48000:cl=stereo,atrim=duration=${part.length},aformat=sample_fmts=fltp[a${i}]`
+    );
+  });
+
+  if (transition) {
+    // 第 k 段在前面各段总长减去 k 次转场时长处开始淡入
+    let offset = 0;
+    let video = 'v0';
+    let audio = 'a0';
+    for (let i = 1; i < parts.length; i++) {
+      offset += parts[i - 1].length - transition.duration;
+      const last = i === parts.length - 1;
+      filters.push(
+        `[${video}][v${i}]xfade=transition=fade:duration=${transition.duration}:offset=${offset.toFixed(3)}[${last ? 'vout' : `xv${i}`}]`,
+        `[${audio}][a${i}]acrossfade=d=${transition.duration}[${last ? 'aout' : `xa${i}`}]`
+      );
+      video = `xv${i}`;
+      audio = `xa${i}`;
+    }
+  } else {
+    filters.push(`${parts.map((_, i) => `[v${i}][a${i}]`).join('')}concat=n=${parts.length}:v=1:a=1[vout][aout]`);
+  }
+
+  const settings = qualitySettings[quality] || qualitySettings.high;
+  await new Promise((resolve, reject) => {
+    let command = killOnAbort(ffmpeg(files[0]), signal);
+    files.slice(1).forEach(file => { command = command.input(file); });
+
+    command = command
+      .complexFilter(filters.join(';'))
+      .outputOptions([
+        '-map [vout]',
+        '-map [aout]',
+        '-c:v libx264',
+        `-crf ${settings.crf}`,
+        `-preset ${settings.preset}`,
+        '-c:a aac',
+        '-b:a 192k',
+        '-movflags +faststart'
+      ]);
+
+    if (task) trackFfmpegProgress(command, task, 'concatenating', totalLength);
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+
+  return { mode: 'reencode', duration: totalLength };
+}
+
+// ==================== 剪辑 ====================
+
+const MAX_TRIM_RANGES = 20;
+
+/**
+ * 解析时间点：秒数或 HH:MM:SS.mmm / MM:SS 字符串，无效时返回 null
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value >= 0 && isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !/^(\d+:){0,2}\d+(\.\d+)?$/.test(value.trim())) return null;
+  return parseClock(value.trim());
+}
+
+/**
+ * 校验剪辑参数
+ * 单个范围用 start / end，多个范围用 ranges: [{ start, end }]
+ * accurate: 重新编码实现逐帧精确剪辑；join: 多个范围拼接成一个文件
+ */
+function parseTrimOptions({ start, end, ranges, accurate = false, join = false } = {}) {
+  const list = ranges != null ? ranges : (start != null || end != null ? [{ start, end }] : null);
+  if (!Array.isArray(list) || !list.length) throw badRequest('缺少剪辑范围');
+  if (list.length > MAX_TRIM_RANGES) throw badRequest(`最多 ${MAX_TRIM_RANGES} 个剪辑范围`);
+
+  return {
+    ranges: list.map((range, i) => {
+      const label = ranges != null ? `ranges[${i}] ` : '';
+      const from = parseTimestamp(range && range.start);
+      const to = parseTimestamp(range && range.end);
+      if (from == null || to == null) throw badRequest(`${label}时间格式无效，应为秒数或 HH:MM:SS.mmm`);
+      if (to <= from) throw badRequest(`${label}结束时间必须大于开始时间`);
+      return { start: from, end: to };
+    }),
+    accurate: accurate === true || accurate === 'true',
+    join: join === true || join === 'true',
+  };
+}
+
+/**
+ * 按实际时长校验剪辑范围，返回视频时长
+ */
+async function checkTrimRanges(inputFile, ranges) {
+  const info = await probeMedia(inputFile);
+  const duration = parseFloat(info.format.duration) || 0;
+  const outside = ranges.find(range => range.end > duration);
+  if (outside) {
+    throw badRequest(`剪辑范围 ${outside.start}-${outside.end} 超出视频时长 (${duration.toFixed(3)} 秒)`);
+  }
+  return duration;
+}
+
+/**
+ * 剪辑单个范围
+ * 默认直接复制流，切点落在关键帧；accurate 时在输入端快速定位后重新编码，首帧即为切点
+ */
+function trimRange(inputFile, outputFile, { start, end }, { accurate, format, quality }, { signal, task } = {}) {
+  return new Promise((resolve, reject) => {
+    let command = killOnAbort(ffmpeg(inputFile), signal);
+
+    if (accurate) {
+      const settings = qualitySettings[quality] || qualitySettings.high;
+      command = command
+        .seekInput(start)
+        .setDuration(end - start)
+        .outputOptions(format === 'webm'
+          ? ['-c:v libvpx-vp9', `-crf ${settings.crf}`, '-b:v 0', '-c:a libopus']
+          : ['-c:v libx264', `-crf ${settings.crf}`, `-preset ${settings.preset}`, '-pix_fmt yuv420p', '-c:a aac', '-b:a 192k']);
+      if (format === 'mp4') command = command.outputOptions('-movflags +faststart');
+    } else {
+      command = command
+        .setStartTime(start)
+        .setDuration(end - start)
+        .outputOptions(['-c copy', '-avoid_negative_ts make_zero']);
+    }
+
+    if (task) trackFfmpegProgress(command, task, 'trimming', end - start);
+    command.output(outputFile).on('end', resolve).on('error', reject).run();
+  });
+}
+
+/**
+ * 剪辑视频
+ * 单个范围或 join 时输出到 output 文件（join 只支持 mp4），否则 output 为目录，内含 clip_001.<format> ...
+ * 返回 { duration, ranges, files? }
+ */
+async function trimVideo(inputFile, output, { ranges, accurate, join, format = 'mp4', quality }, { signal, task } = {}) {
+  await checkTrimRanges(inputFile, ranges);
+  const duration = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+
+  if (ranges.length === 1) {
+    await trimRange(inputFile, output, ranges[0], { accurate, format, quality }, { signal, task });
+    return { duration, ranges };
+  }
+
+  if (join) {
+    const result = await concatClips(ranges.map(() => inputFile), output, { clips: ranges, quality, reencode: accurate }, { signal, task });
+    return { duration: result.duration, ranges };
+  }
+
+  fs.mkdirSync(output, { recursive: true });
+  const files = [];
+  for (let i = 0; i < ranges.length; i++) {
+    const file = `clip_${String(i + 1).padStart(3, '0')}.${format}`;
+    await trimRange(inputFile, path.join(output, file), ranges[i], { accurate, format, quality }, { signal });
+    files.push({ file, ...ranges[i] });
+    if (task) setTaskProgress(task, 'trimming', { percent: (i + 1) / ranges.length * 100 });
+  }
+  return { duration, ranges, files };
+}
+
+// ==================== 文件上传 ====================
+
+/**
+ * 接收 multipart/form-data 上传（非 multipart 请求直接放行）
+ * 文件字段 video / audio 流式写入 TEMP_DIR，写入过程中检查 req.maxFileSize
+ * 普通字段写入 req.body（JSON 字符串自动解析），文件路径写入 req.uploads
+ * 处理结束后仍未被使用的上传文件会被删除
+ */
+function acceptUploads(fields = ['video']) {
+  return (req, res, next) => {
+    req.uploads = {};
+    if (!req.is('multipart/form-data')) return next();
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: fields.length, fileSize: req.maxFileSize } });
+    } catch (e) {
+      return res.status(400).json({ error: `上传解析失败: ${e.message}` });
+    }
+
+    const uploadId = uuidv4();
+    const writes = [];
+    let failed = null;
+
+    req.body = {};
+    res.on('close', () => cleanupFiles(...Object.values(req.uploads)));
+
+    parser.on('field', (name, value) => {
+      if (/^[{[]/.test(value)) {
+        try { value = JSON.parse(value); } catch { }
+      }
+      req.body[name] = value;
+    });
+
+    parser.on('file', (name, stream) => {
+      // 表单被截断时文件流报 Unexpected end of form，没有监听会导致进程崩溃
+      stream.on('error', (err) => {
+        failed = failed || { status: 400, error: `上传解析失败: ${err.message}` };
+      });
+
+      if (!fields.includes(name) || req.uploads[name]) {
+        stream.resume();
+        return;
+      }
+
+      const filePath = path.join(TEMP_DIR, `${uploadId}_upload_${name}`);
+      req.uploads[name] = filePath;
+
+      writes.push(new Promise((resolve) => {
+        const file = fs.createWriteStream(filePath);
+        stream.on('limit', () => {
+          failed = failed || { status: 413, error: '文件大小超过限制' };
+          stream.unpipe(file);
+          stream.resume();
+          file.end();
+        });
+        stream.on('error', () => {
+          stream.unpipe(file);
+          file.end();
+        });
+        file.on('close', resolve);
+        file.on('error', (err) => {
+          failed = failed || { status: 500, error: err.message };
+          resolve();
+        });
+        stream.pipe(file);
+      }));
+    });
+
+    parser.on('error', (err) => {
+      failed = failed || { status: 400, error: `上传解析失败: ${err.message}` };
+    });
+
+    parser.on('close', async () => {
+      await Promise.all(writes);
+      if (failed) return res.status(failed.status).json({ error: failed.error });
+      next();
+    });
+
+    req.pipe(parser);
+  };
+}
+
+/**
+ * 获取输入文件：有上传文件时直接移动到目标位置，否则下载 URL
+ * input: { url, file }
+ */
+async function fetchInput(input, filename, headers = {}, options = {}) {
+  if (!input.file) {
+    return downloadFile(input.url, filename, headers, options);
+  }
+
+  const filePath = path.join(TEMP_DIR, filename);
+  fs.renameSync(input.file, filePath);
+  return filePath;
+}
+
+// ==================== API 端点 ====================
+
+/**
+ * 健康检查
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    ffmpeg: true,
+    ytdlp: true,
+    extractors: { platforms: ENABLED_PLATFORMS, filter: YTDLP_EXTRACTORS },
+    cache: cacheStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Prometheus 指标
+ * GET /metrics
+ * 配置了 METRICS_TOKEN 或 API Key 时，需要 Authorization: Bearer <METRICS_TOKEN> 或任一有效的 API Key（不计入限流）
+ */
+app.get('/metrics', (req, res) => {
+  const token = extractApiKey(req);
+  if ((METRICS_TOKEN || apiKeys.size) && !(token && (token === METRICS_TOKEN || apiKeys.has(token)))) {
+    return res.status(401).json({ error: 'metrics token 无效' });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/**
+ * 解析视频信息
+ * POST /parse
+ * Body: { url, playlist, offset, limit }
+ * 使用 yt-dlp 获取视频元数据和下载链接，支持的网页由 yt-dlp 与 YTDLP_EXTRACTORS 决定
+ * yt-dlp 识别为播放列表 / 频道时（playlist: true 时列表内的视频也按列表）返回分页的条目列表
+ */
+app.post('/parse', allowAction('parse'), async (req, res) => {
+  const { url, playlist } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ success: false, error: '缺少 url' });
+  }
+
+  console.log(`[Parse] 解析: ${url.substring(0, 100)}...`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    const site = assertSiteEnabled(url);
+    await checkUrl(url);
+
+    // 一次调用由 yt-dlp 识别提取器，并判断是否为播放列表
+    const { offset, limit } = parsePlaylistOptions(req.body);
+    const info = await fetchYtdlpPage(url, { offset, limit, playlist: playlist === true || playlist === 'true', signal });
+
+    if (info._type === 'playlist') {
+      const list = playlistPage(info, limit);
+
+      console.log(`[Parse] 播放列表: ${list.title}, 条目数: ${list.entries.length}`);
+
+      return res.json({
+        success: true,
+        data: {
+          type: 'playlist',
+          id: list.id,
+          platform: sitePlatform(site, list),
+          extractor: list.extractor,
+          title: list.title || '未知列表',
+          author: list.author,
+          total: list.total,
+          entries: list.entries.map(entry => ({
+            ...entry,
+            durationText: entry.duration ? formatDuration(entry.duration) : undefined,
+          })),
+          offset,
+          limit,
+          hasMore: list.hasMore,
+          originalUrl: url,
+          parsedAt: Date.now(),
+        }
+      });
+    }
+
+    // 构建格式列表
+    const formats = [];
+
+    // 添加渐进式格式（视频+音频）
+    if (info.formats) {
+      // 合并格式（有视频有音频）
+      const mergedFormats = info.formats.filter(f =>
+        f.vcodec !== 'none' && f.acodec !== 'none' && f.url
+      );
+
+      // 仅视频格式
+      const videoOnlyFormats = info.formats.filter(f =>
+        f.vcodec !== 'none' && (f.acodec === 'none' || !f.acodec) && f.url
+      );
+
+      // 仅音频格式
+      const audioOnlyFormats = info.formats.filter(f =>
+        (f.vcodec === 'none' || !f.vcodec) && f.acodec !== 'none' && f.url
+      );
+
+      // 处理合并格式
+      for (const f of mergedFormats) {
+        const quality = f.format_note || f.height ? `${f.height}p` : 'default';
+        formats.push({
+          id: f.format_id || `merged-${f.height}`,
+          quality,
+          format: f.ext || 'mp4',
+          size: f.filesize || f.filesize_approx,
+          sizeText: f.filesize ? formatBytes(f.filesize) : (f.filesize_approx ? formatBytes(f.filesize_approx) : undefined),
+          url: f.url,
+          hasVideo: true,
+          hasAudio: true,
+          bitrate: f.tbr,
+        });
+      }
+
+      // 处理仅视频格式
+      for (const f of videoOnlyFormats) {
+        const quality = f.format_note || f.height ? `${f.height}p` : 'default';
+        formats.push({
+          id: f.format_id || `video-${f.height}`,
+          quality,
+          format: f.ext || 'mp4',
+          size: f.filesize || f.filesize_approx,
+          sizeText: f.filesize ? formatBytes(f.filesize) : (f.filesize_approx ? formatBytes(f.filesize_approx) : undefined),
+          url: f.url,
+          hasVideo: true,
+          hasAudio: false,
+          bitrate: f.tbr,
+          codec: f.vcodec,
+          fps: f.fps,
+        });
+      }
+
+      // 处理仅音频格式（取最高音质）
+      const bestAudio = audioOnlyFormats.sort((a, b) => (b.tbr || 0) - (a.tbr || 0))[0];
+      if (bestAudio) {
+        formats.push({
+          id: bestAudio.format_id || 'audio-best',
+          quality: `音频 (${Math.round((bestAudio.tbr || 0) / 1000)}kbps)`,
+          format: bestAudio.ext || 'm4a',
+          size: bestAudio.filesize || bestAudio.filesize_approx,
+          sizeText: bestAudio.filesize ? formatBytes(bestAudio.filesize) : undefined,
+          url: bestAudio.url,
+          hasVideo: false,
+          hasAudio: true,
+          bitrate: bestAudio.tbr,
+        });
+      }
+    }
+
+    // 按画质排序
+    formats.sort((a, b) => {
+      const qualityOrder = ['2160p', '1440p', '1080p', '720p', '480p', '360p', '240p', '144p'];
+      const aIndex = qualityOrder.indexOf(a.quality);
+      const bIndex = qualityOrder.indexOf(b.quality);
+      return aIndex - bIndex;
+    });
+
+    console.log(`[Parse] 成功, 标题: ${info.title}, 格式数: ${formats.length}`);
+
+    res.json({
+      success: true,
+      data: {
+        type: 'video',
+        id: info.id,
+        platform: sitePlatform(site, info),
+        extractor: info.extractor_key || info.extractor,
+        title: info.title || '未知标题',
+        description: info.description,
+        thumbnail: info.thumbnail,
+        duration: info.duration,
+        durationText: formatDuration(info.duration),
+        author: info.uploader || info.channel,
+        formats,
+        subtitles: subtitleList(info.subtitles),
+        automaticCaptions: subtitleList(info.automatic_captions),
+        originalUrl: url,
+        parsedAt: Date.now(),
+      }
+    });
+
+  } catch (error) {
+    if (signal.aborted) return;
+    console.error('[Parse] 错误:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * 格式化字节
+ */
+function formatBytes(bytes) {
+  if (!bytes) return undefined;
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+}
+
+/**
+ * 格式化时长
+ */
+function formatDuration(seconds) {
+  if (!seconds) return '0:00';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * 获取 FFmpeg 版本信息
+ */
+app.get('/info', (req, res) => {
+  ffmpeg.ffprobe(null, (err, data) => {
+    res.json({
+      service: 'getv-ffmpeg',
+      version: '1.0.0',
+      ffmpegAvailable: true
+    });
+  });
+});
+
+/**
+ * 合并音视频
+ * POST /merge
+ * Body: { videoUrl, audioUrl, outputFormat }
+ * 也可以 multipart/form-data 上传 video / audio 文件代替 URL
+ */
+app.post('/merge', allowAction('merge'), acceptUploads(['video', 'audio']), async (req, res) => {
+  const { videoUrl, audioUrl, outputFormat = 'mp4' } = req.body;
+
+  if ((!videoUrl && !req.uploads.video) || (!audioUrl && !req.uploads.audio)) {
+    return res.status(400).json({ error: '缺少 videoUrl 或 audioUrl' });
+  }
+
+  const taskId = uuidv4();
+  const videoFile = path.join(TEMP_DIR, `${taskId}_video`);
+  const audioFile = path.join(TEMP_DIR, `${taskId}_audio`);
+  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${outputFormat}`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[Merge] 开始下载文件, taskId: ${taskId}`);
+
+    // 并行下载视频和音频
+    await Promise.all([
+      fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_video`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant }),
+      fetchInput({ url: audioUrl, file: req.uploads.audio }, `${taskId}_audio`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant })
+    ]);
+
+    console.log(`[Merge] 文件下载完成，开始合并`);
+
+    // 合并音视频
+    await new Promise((resolve, reject) => {
+      killOnAbort(ffmpeg(videoFile), signal)
+        .input(audioFile)
+        .outputOptions([
+          '-c:v copy',           // 视频直接复制
+          '-c:a aac',            // 音频转 AAC
+          '-map 0:v:0',          // 使用第一个输入的视频
+          '-map 1:a:0',          // 使用第二个输入的音频
+          '-shortest'            // 以最短的流为准
+        ])
+        .output(outputFile)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    console.log(`[Merge] 合并完成，返回文件`);
+
+    // 返回文件
+    res.download(outputFile, `merged.${outputFormat}`, (err) => {
+      cleanupFiles(videoFile, audioFile, outputFile);
+      if (err) console.error('发送文件失败:', err);
+    });
+
+  } catch (error) {
+    cleanupFiles(videoFile, audioFile, outputFile);
+    if (signal.aborted) return;
+    console.error('[Merge] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 视频剪辑
+ * POST /trim
+ * Body: { videoUrl, startTime, endTime, ranges, accurate, join, quality, outputFormat, fps, width, loop, maxSize }
+ * 时间可以是秒数或 HH:MM:SS.mmm；多个 ranges 默认打包为 zip，join 时拼接为一个 mp4
+ * outputFormat 为 gif / webp 时导出动图，fps、width、loop、maxSize 仅对动图有效
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl
+ */
+app.post('/trim', allowAction('trim'), acceptUploads(), async (req, res) => {
+  const { videoUrl, startTime, endTime, outputFormat = 'mp4', quality } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  let options;
+  let animation = null;
+  try {
+    options = parseTrimOptions({ ...req.body, start: startTime, end: endTime });
+    if (ANIMATION_FORMATS.includes(outputFormat)) {
+      if (options.ranges.length > 1) throw badRequest('动图只支持单个剪辑范围');
+      animation = parseAnimationOptions(req.body);
+    }
+    if (options.join && options.ranges.length > 1 && outputFormat !== 'mp4') throw badRequest('拼接多个范围只支持 mp4');
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const { ranges } = options;
+  const archive = ranges.length > 1 && !options.join;
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const output = path.join(TEMP_DIR, archive ? `${taskId}_clips` : `${taskId}_output.${outputFormat}`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[Trim] 开始下载文件, taskId: ${taskId}`);
+
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+
+    console.log(`[Trim] 下载完成，开始剪辑 ${ranges.map(range => `${range.start} - ${range.end}`).join(', ')}`);
+
+    if (animation) {
+      await checkTrimRanges(inputFile, ranges);
+      const result = await renderAnimation(inputFile, output, {
+        ...animation,
+        start: ranges[0].start,
+        duration: ranges[0].end - ranges[0].start,
+        format: outputFormat,
+      }, { signal });
+      console.log(`[Trim] 动图参数: ${result.fps}fps, ${result.width}px, ${formatBytes(result.size)}`);
+    } else {
+      await trimVideo(inputFile, output, { ...options, format: outputFormat, quality }, { signal });
+    }
+
+    console.log(`[Trim] 剪辑完成，返回文件`);
+
+    const done = (err) => {
+      cleanupFiles(inputFile, output);
+      if (err) console.error('发送文件失败:', err);
+    };
+    if (archive) {
+      sendDirectoryZip(res, output, 'trimmed.zip', done);
+    } else {
+      res.download(output, `trimmed.${outputFormat}`, done);
+    }
+
+  } catch (error) {
+    cleanupFiles(inputFile, output);
+    if (signal.aborted) return;
+    console.error('[Trim] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 格式转换
+ * POST /convert
+ * Body: { videoUrl, outputFormat, quality, subtitleUrl, watermark,
+ *         resolution, maxWidth, maxHeight, crop, aspect, reframe, rotate, flip, fps }
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl、上传 subtitle 文件（SRT / VTT）代替 subtitleUrl、
+ * 上传 watermarkImage 文件代替 watermark.imageUrl
+ * 提供字幕时烧录进画面；画面变换、字幕与水印仅支持 mp4 / webm，字幕与水印作用于变换后的画面
+ */
+app.post('/convert', allowAction('convert'), acceptUploads(['video', 'subtitle', 'watermarkImage']), async (req, res) => {
+  const { videoUrl, outputFormat = 'mp4', quality = 'high', subtitleUrl } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  const hasSubtitle = Boolean(subtitleUrl || req.uploads.subtitle);
+  if (hasSubtitle && !['mp4', 'webm'].includes(outputFormat)) {
+    return res.status(400).json({ error: '仅 mp4 / webm 支持烧录字幕' });
+  }
+
+  let watermark = null;
+  if (req.body.watermark || req.uploads.watermarkImage) {
+    if (!['mp4', 'webm'].includes(outputFormat)) {
+      return res.status(400).json({ error: '仅 mp4 / webm 支持水印' });
+    }
+    try {
+      watermark = parseWatermarkOptions(req.body.watermark || {}, Boolean(req.uploads.watermarkImage));
+    } catch (error) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+  }
+
+  let transform = null;
+  try {
+    transform = parseTransformOptions(req.body);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (transform && !['mp4', 'webm'].includes(outputFormat)) {
+    return res.status(400).json({ error: '仅 mp4 / webm 支持画面变换' });
+  }
+
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const subtitleFile = path.join(TEMP_DIR, `${taskId}_subtitle`);
+  const watermarkFile = path.join(TEMP_DIR, `${taskId}_watermark`);
+  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${outputFormat}`);
+
+  const settings = qualitySettings[quality] || qualitySettings.medium;
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[Convert] 开始下载文件, taskId: ${taskId}`);
+
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+    if (hasSubtitle) {
+      await fetchInput({ url: subtitleUrl, file: req.uploads.subtitle }, `${taskId}_subtitle`, {}, { signal, maxFileSize: req.maxFileSize });
+    }
+    if (watermark) {
+      watermark = await prepareWatermark(watermark, { file: req.uploads.watermarkImage, videoUrl }, taskId, { signal, maxFileSize: req.maxFileSize });
+    }
+
+    console.log(`[Convert] 下载完成，开始转换`);
+
+    const filters = [];
+    if (transform) {
+      const videoStream = (await probeMedia(inputFile)).streams.find(s => s.codec_type === 'video');
+      if (!videoStream) throw badRequest('输入文件没有视频流');
+      const result = transformFilter(transform, displaySize(videoStream));
+      filters.push(result.filter);
+      console.log(`[Convert] 画面变换: ${result.filter} (${result.width}x${result.height})`);
+    }
+    if (hasSubtitle) filters.push(subtitlesFilter(subtitleFile));
+
+    let command = killOnAbort(ffmpeg(inputFile), signal);
+    const videoFilter = filters.length ? filters.join(',') : null;
+    if (watermark) {
+      // 水印需要第二路输入，改用 filter_complex（字幕先烧录，水印叠加在最上层）
+      if (watermark.type === 'image') command = command.input(watermark.file);
+      command = command
+        .complexFilter(`[0:v]${videoFilter || 'null'}[base];${watermarkFilter(watermark)}`)
+        .outputOptions(['-map [watermarked]', '-map 0:a?']);
+    } else if (videoFilter) {
+      command = command.videoFilters(videoFilter);
+    }
+
+    // 根据输出格式设置参数
+    if (outputFormat === 'mp4') {
+      command = command
+        .outputOptions([
+          '-c:v libx264',
+          `-crf ${settings.crf}`,
+          `-preset ${settings.preset}`,
+          '-c:a aac',
+          '-b:a 192k'
+        ]);
+    } else if (outputFormat === 'webm') {
+      command = command
+        .outputOptions([
+          '-c:v libvpx-vp9',
+          `-crf ${settings.crf}`,
+          '-b:v 0',
+          '-c:a libopus',
+          '-b:a 128k'
+        ]);
+    } else if (outputFormat === 'mp3') {
+      command = command
+        .noVideo()
+        .outputOptions([
+          '-c:a libmp3lame',
+          '-b:a 320k'
+        ]);
+    } else if (outputFormat === 'm4a') {
+      command = command
+        .noVideo()
+        .outputOptions([
+          '-c:a aac',
+          '-b:a 256k'
+        ]);
+    }
+
+    await new Promise((resolve, reject) => {
+      command
+        .output(outputFile)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    console.log(`[Convert] 转换完成，返回文件`);
+
+    res.download(outputFile, `converted.${outputFormat}`, (err) => {
+      cleanupFiles(inputFile, subtitleFile, watermarkFile, outputFile);
+      if (err) console.error('发送文件失败:', err);
+    });
+
+  } catch (error) {
+    cleanupFiles(inputFile, subtitleFile, watermarkFile, outputFile);
+    if (signal.aborted) return;
+    console.error('[Convert] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 提取音频
+ * POST /extract-audio
+ * Body: { videoUrl, format, bitrate, normalize, fadeIn, fadeOut, trimSilence, mono, sampleRate, tags, cover, coverUrl }
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl
+ */
+app.post('/extract-audio', allowAction('extract-audio'), acceptUploads(), async (req, res) => {
+  const { videoUrl, format = 'mp3', bitrate = '320' } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  let processing;
+  let tagging;
+  try {
+    processing = parseAudioOptions(req.body);
+    tagging = parseTagOptions(req.body, format);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const outputFile = path.join(TEMP_DIR, `${taskId}_output.${format}`);
+  const taggedFile = path.join(TEMP_DIR, `${taskId}_tagged.${format}`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[ExtractAudio] 开始下载文件, taskId: ${taskId}`);
+
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+
+    console.log(`[ExtractAudio] 下载完成，开始提取音频`);
+
+    const result = await extractAudio(inputFile, outputFile, { format, bitrate, processing }, { signal });
+    if (result && result.loudness) {
+      const { input, output } = result.loudness;
+      console.log(`[ExtractAudio] 响度: ${input.i} LUFS -> ${output ? output.i : '?'} LUFS`);
+    }
+    const audioFile = tagging
+      ? await applyAudioTags(outputFile, format, tagging, videoUrl, taskId, { signal, maxFileSize: req.maxFileSize })
+      : outputFile;
+
+    console.log(`[ExtractAudio] 提取完成，返回文件`);
+
+    res.download(audioFile, `audio.${format}`, (err) => {
+      cleanupFiles(inputFile, outputFile, taggedFile);
+      if (err) console.error('发送文件失败:', err);
+    });
+
+  } catch (error) {
+    cleanupFiles(inputFile, outputFile, taggedFile);
+    if (signal.aborted) return;
+    console.error('[ExtractAudio] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * HLS 打包
+ * POST /package-hls
+ * Body: { videoUrl, renditions, segmentDuration, quality, audioRendition }
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl
+ * 返回包含 master.m3u8 的 zip
+ */
+app.post('/package-hls', allowAction('package-hls'), acceptUploads(), async (req, res) => {
+  const { videoUrl } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  let options;
+  try {
+    options = parseHlsOptions(req.body);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const outputDir = path.join(TEMP_DIR, `${taskId}_hls`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[PackageHLS] 开始下载文件, taskId: ${taskId}`);
+
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+
+    console.log(`[PackageHLS] 下载完成，开始打包: ${options.renditions.join('/')}`);
+
+    await packageHls(inputFile, outputDir, options, { signal });
+    cleanupFiles(inputFile);
+
+    console.log(`[PackageHLS] 打包完成，返回文件`);
+
+    sendDirectoryZip(res, outputDir, 'hls.zip', (err) => {
+      cleanupFiles(outputDir);
+      if (err) console.error('发送文件失败:', err);
+    });
+
+  } catch (error) {
+    cleanupFiles(inputFile, outputDir);
+    if (signal.aborted) return;
+    console.error('[PackageHLS] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 生成缩略图 / 雪碧图
+ * POST /thumbnails
+ * Body: { videoUrl, timestamps, count, width, height, format, sprite, columns }
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl
+ * 单张图片直接返回图片，否则返回 zip
+ */
+app.post('/thumbnails', allowAction('thumbnails'), acceptUploads(), async (req, res) => {
+  const { videoUrl } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  let options;
+  try {
+    options = parseThumbnailOptions(req.body);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const outputDir = path.join(TEMP_DIR, `${taskId}_thumbnails`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+
+    console.log(`[Thumbnails] 下载完成，开始截图, taskId: ${taskId}`);
+
+    const result = await generateThumbnails(inputFile, outputDir, options, { signal });
+    cleanupFiles(inputFile);
+
+    const done = (err) => {
+      cleanupFiles(outputDir);
+      if (err) console.error('发送文件失败:', err);
+    };
+    if (!result.sprite && result.frames.length === 1) {
+      res.download(path.join(outputDir, result.frames[0].file), `thumbnail.${options.format}`, done);
+    } else {
+      sendDirectoryZip(res, outputDir, 'thumbnails.zip', done);
+    }
+
+  } catch (error) {
+    cleanupFiles(inputFile, outputDir);
+    if (signal.aborted) return;
+    console.error('[Thumbnails] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 拼接多个视频
+ * POST /concat
+ * Body: { inputs: [{ url, start, end }], transition: { type: 'crossfade', duration }, quality }
+ * 编码参数一致时直接流复制，否则统一分辨率/帧率/采样率后重新编码
+ */
+app.post('/concat', allowAction('concat'), async (req, res) => {
+  let options;
+  try {
+    options = parseConcatOptions(req.body);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  const taskId = uuidv4();
+  const inputFiles = options.clips.map((_, i) => path.join(TEMP_DIR, `${taskId}_clip${i}`));
+  const outputFile = path.join(TEMP_DIR, `${taskId}_concat.mp4`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    console.log(`[Concat] 开始下载 ${options.clips.length} 个片段, taskId: ${taskId}`);
+
+    await mapLimit(options.clips.map((clip, i) => ({ clip, i })), DOWNLOAD_CONCURRENCY, signal, ({ clip, i }, clipSignal) =>
+      fetchInput({ url: clip.url }, `${taskId}_clip${i}`, {}, { signal: clipSignal, maxFileSize: req.maxFileSize, variant: req.body.variant })
+    );
+
+    console.log(`[Concat] 下载完成，开始拼接`);
+
+    const result = await concatClips(inputFiles, outputFile, options, { signal });
+    cleanupFiles(...inputFiles);
+
+    console.log(`[Concat] 拼接完成 (${result.mode})，返回文件`);
+
+    res.download(outputFile, 'concat.mp4', (err) => {
+      cleanupFiles(outputFile);
+      if (err) console.error('发送文件失败:', err);
+    });
+
+  } catch (error) {
+    cleanupFiles(...inputFiles, outputFile);
+    if (signal.aborted) return;
+    console.error('[Concat] 错误:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * 获取视频信息
+ * POST /probe
+ * Body: { videoUrl }
+ * 也可以 multipart/form-data 上传 video 文件代替 videoUrl
+ */
+app.post('/probe', allowAction('probe'), acceptUploads(), async (req, res) => {
+  const { videoUrl } = req.body;
+
+  if (!videoUrl && !req.uploads.video) {
+    return res.status(400).json({ error: '缺少 videoUrl' });
+  }
+
+  const taskId = uuidv4();
+  const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+  const signal = abortOnDisconnect(req, res);
+
+  try {
+    await fetchInput({ url: videoUrl, file: req.uploads.video }, `${taskId}_input`, {}, { signal, maxFileSize: req.maxFileSize, variant: req.body.variant });
+
+    const info = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputFile, (err, data) => {
+        if (err) reject(err);
+        else resolve(data);
+      });
+    });
+
+    cleanupFiles(inputFile);
+
+    res.json({
+      success: true,
+      data: {
+        duration: info.format.duration,
+        size: info.format.size,
+        format: info.format.format_name,
+        streams: info.streams.map(s => ({
+          type: s.codec_type,
+          codec: s.codec_name,
+          width: s.width,
+          height: s.height,
+          bitrate: s.bit_rate,
+          fps: s.r_frame_rate
+        }))
+      }
+    });
+
+  } catch (error) {
+    cleanupFiles(inputFile);
+    if (signal.aborted) return;
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ==================== 异步任务管理 ====================
+
+/**
+ * 任务状态（内存索引，由 taskStore 持久化）
+ * { taskId: { id, status: 'pending'|'queued'|'processing'|'done'|'error'|'interrupted'|'cancelled', phase, progress, queue, outputFile, filename, entry, result, error, request, priority, apiKey, maxFileSize, createdAt, updatedAt } }
+ * controller: AbortController，用于取消（不持久化）
+ * outputFile 为目录时（HLS 打包、缩略图），entry 为目录内的入口文件，/file 返回整个目录的 zip
+ * result: 操作附带的结构化结果（如缩略图时间点），完成后对外展示
+ * phase: downloading | merging | trimming | analyzing | transcoding | muxing | watermarking | packaging | thumbnailing | concatenating | listing | batch
+ * progress: { percent, bytes, totalBytes, speed, eta }
+ */
+const tasks = new Map();
+
+/**
+ * 需要持久化的任务字段（progress 等瞬时状态不落盘）
+ */
+const PERSISTED_TASK_FIELDS = ['id', 'status', 'outputFile', 'filename', 'entry', 'result', 'error', 'request', 'priority', 'apiKey', 'maxFileSize', 'callback', 'parent', 'children', 'cacheKey', 'cached', 'clients', 'createdAt', 'updatedAt'];
+
+function serializeTask(task) {
+  const record = {};
+  for (const key of PERSISTED_TASK_FIELDS) {
+    if (task[key] !== undefined) record[key] = task[key];
+  }
+
+  // 回调密钥不写入磁盘，重启后 callback.secret 按 WEBHOOK_SECRET 恢复（见 restoreTasks）
+  if (record.request && record.request.callbackSecret) {
+    const { callbackSecret, ...request } = record.request;
+    record.request = request;
+  }
+  if (record.callback) {
+    const { secret, ...callback } = record.callback;
+    record.callback = callback;
+  }
+  return record;
+}
+
+/**
+ * 内存存储：不持久化
+ * 存储接口: { load() => records[], save(task), remove(taskId) }
+ */
+function createMemoryTaskStore() {
+  return {
+    load: () => [],
+    save: () => { },
+    remove: () => { },
+  };
+}
+
+/**
+ * 文件存储：所有任务写入一个 JSON 文件（先写临时文件再 rename，保证原子性）
+ */
+function createFileTaskStore(file) {
+  let records = {};
+
+  try {
+    records = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('[TaskStore] 读取失败:', e.message);
+  }
+
+  const flush = () => {
+    try {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(records));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('[TaskStore] 写入失败:', e.message);
+    }
+  };
+
+  return {
+    load: () => Object.values(records),
+    save: (task) => {
+      records[task.id] = serializeTask(task);
+      flush();
+    },
+    remove: (taskId) => {
+      if (!records[taskId]) return;
+      delete records[taskId];
+      flush();
+    },
+  };
+}
+
+const taskStores = {
+  memory: createMemoryTaskStore,
+  file: () => createFileTaskStore(TASK_STORE_FILE),
+};
+
+if (!taskStores[TASK_STORE]) {
+  throw new Error(`未知的 TASK_STORE: ${TASK_STORE}`);
+}
+const taskStore = taskStores[TASK_STORE]();
+
+/**
+ * 删除任务（内存与存储）
+ */
+function removeTask(taskId) {
+  tasks.delete(taskId);
+  taskStore.remove(taskId);
+}
+
+// ==================== 任务队列 ====================
+
+/**
+ * 带优先级的并发池：priority 越大越先执行，同优先级先进先出
+ * onQueueChange(tasks) 在排队顺序变化时回调
+ */
+function createPool(name, concurrency, onQueueChange) {
+  const waiting = [];   // { task, priority, seq, resolve }
+  let active = 0;
+  let seq = 0;
+
+  const dispatch = () => {
+    let changed = false;
+    while (active < concurrency && waiting.length) {
+      const next = waiting.shift();
+      active++;
+      changed = true;
+
+      let released = false;
+      next.resolve(() => {
+        if (released) return;
+        released = true;
+        active--;
+        dispatch();
+      });
+    }
+    if (changed && waiting.length) onQueueChange(waiting.map(w => w.task));
+  };
+
+  return {
+    name,
+    concurrency,
+    get active() { return active; },
+    get size() { return waiting.length; },
+
+    /**
+     * 申请执行槽位，返回 release 函数；signal 中止时退出排队
+     */
+    acquire(task, priority = 0, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(abortError());
+
+        const entry = { task, priority, seq: seq++, resolve };
+        if (signal) {
+          const onAbort = () => {
+            const index = waiting.indexOf(entry);
+            if (index === -1) return;
+            waiting.splice(index, 1);
+            reject(abortError());
+            onQueueChange(waiting.map(w => w.task));
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          entry.resolve = (release) => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(release);
+          };
+        }
+
+        waiting.push(entry);
+        waiting.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+        dispatch();
+      });
+    },
+
+    /**
+     * 排队位置（从 1 开始），未排队返回 null
+     */
+    position(task) {
+      const index = waiting.findIndex(w => w.task === task);
+      return index === -1 ? null : index + 1;
+    },
+  };
+}
+
+const notifyQueued = waitingTasks => waitingTasks.forEach(task => {
+  taskEvents.emit(task.id, 'state', taskSnapshot(task));
+});
+
+const pools = {
+  download: createPool('download', DOWNLOAD_CONCURRENCY, notifyQueued),
+  transcode: createPool('transcode', TRANSCODE_CONCURRENCY, notifyQueued),
+};
+
+/**
+ * 排队中的任务总数
+ */
+function queuedCount() {
+  return Object.values(pools).reduce((acc, pool) => acc + pool.size, 0);
+}
+
+/**
+ * 在指定池中执行 fn，需要等待时任务状态为 queued
+ */
+async function runInPool(pool, task, fn) {
+  const { signal } = task.controller;
+  const slot = pool.acquire(task, task.priority || 0, signal);
+  if (pool.position(task)) {
+    setTaskStatus(task, 'queued', { queue: pool.name });
+  }
+
+  const release = await slot;
+  if (signal.aborted) {
+    release();
+    throw abortError();
+  }
+  if (task.status !== 'processing') {
+    setTaskStatus(task, 'processing', { queue: null });
+  }
+
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * 任务事件：taskEvents.emit(taskId, type, snapshot)
+ * type: state | progress | done | error
+ * 任务状态只通过 setTaskStatus / setTaskProgress 修改，保证轮询与 SSE 一致
+ */
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+
+const TERMINAL_STATUSES = ['done', 'error', 'interrupted', 'cancelled'];
+
+/**
+ * 任务对外展示的状态（GET /task/:taskId 与 SSE 共用）
+ */
+function taskSnapshot(task) {
+  return {
+    taskId: task.id,
+    status: task.status,   // pending | queued | processing | done | error | interrupted | cancelled
+    queue: task.status === 'queued' && pools[task.queue] ? {
+      name: task.queue,
+      position: pools[task.queue].position(task),
+    } : undefined,
+    phase: task.phase || undefined,
+    progress: task.status === 'processing' ? task.progress : undefined,
+    error: task.error || undefined,
+    fileUrl: task.status === 'done' ? `/task/${task.id}/file` : undefined,
+    filename: task.status === 'done' ? task.filename : undefined,
+    filesUrl: task.status === 'done' && task.entry ? `/task/${task.id}/files/${task.entry}` : undefined,
+    result: task.status === 'done' ? task.result : undefined,
+    cached: task.status === 'done' && task.cached ? true : undefined,
+    parent: task.parent || undefined,
+    batch: task.children ? batchSummary(task) : undefined,
+    callback: task.callback ? {
+      url: task.callback.url,
+      delivered: task.callback.delivered,
+      attempts: task.callback.attempts,
+    } : undefined,
+  };
+}
+
+/**
+ * 更新任务状态并广播
+ */
+function setTaskStatus(task, status, fields = {}) {
+  const finished = TERMINAL_STATUSES.includes(status) && !TERMINAL_STATUSES.includes(task.status);
+  Object.assign(task, fields, { status, updatedAt: Date.now() });
+  if (status === 'processing' && !task.startedAt) task.startedAt = Date.now();
+  if (TERMINAL_STATUSES.includes(status)) task.phase = null;
+  if (finished) recordTaskMetrics(task);
+  taskStore.save(task);
+
+  const type = TERMINAL_STATUSES.includes(status) ? status : 'state';
+  taskEvents.emit(task.id, type, taskSnapshot(task));
+}
+
+/**
+ * 空进度对象
+ */
+function emptyProgress() {
+  return { percent: null, bytes: null, totalBytes: null, speed: null, eta: null };
+}
+
+/**
+ * 更新任务阶段与进度，切换阶段时重置进度
+ */
+function setTaskProgress(task, phase, progress = {}) {
+  if (task.phase !== phase) {
+    task.phase = phase;
+    task.progress = emptyProgress();
+  }
+  Object.assign(task.progress, progress);
+  taskEvents.emit(task.id, 'progress', taskSnapshot(task));
+}
+
+/**
+ * 并行下载多个文件时汇总进度（字节、速度相加）
+ * 返回 part => onProgress 工厂
+ */
+function aggregateProgress(task) {
+  const parts = {};
+
+  return (name) => (phase, progress) => {
+    parts[name] = progress;
+    const all = Object.values(parts);
+    const sum = key => all.some(p => p[key] == null) ? null : all.reduce((acc, p) => acc + p[key], 0);
+
+    const bytes = sum('bytes');
+    const totalBytes = sum('totalBytes');
+    const speed = sum('speed');
+    setTaskProgress(task, phase, {
+      percent: bytes != null && totalBytes ? Math.min(100, bytes / totalBytes * 100) : null,
+      bytes,
+      totalBytes,
+      speed,
+      eta: totalBytes && speed ? Math.round((totalBytes - bytes) / speed) : null,
+    });
+  };
+}
+
+/**
+ * 监听 ffmpeg 进度事件，写入任务进度
+ * duration 为输出时长（秒），未提供时使用 fluent-ffmpeg 估算的百分比
+ */
+function trackFfmpegProgress(command, task, phase, duration) {
+  const startedAt = Date.now();
+  setTaskProgress(task, phase, { percent: 0 });
+
+  return command.on('progress', (p) => {
+    const current = parseClock(p.timemark);
+    let percent = duration && current != null ? current / duration * 100 : p.percent;
+    percent = percent != null && isFinite(percent) ? Math.max(0, Math.min(100, percent)) : null;
+
+    const elapsed = (Date.now() - startedAt) / 1000;
+    setTaskProgress(task, phase, {
+      percent,
+      bytes: p.targetSize ? p.targetSize * 1024 : null,
+      eta: percent ? Math.round(elapsed * (100 - percent) / percent) : null,
+    });
+  });
+}
+
+/**
+ * 后台执行下载任务
+ */
+async function runDownloadTask(taskId, { videoUrl, formatId, audioUrl, action = 'download', trim, audioFormat, audioBitrate, referer, videoOnly, variant, renditions, segmentDuration, quality, audioRendition, thumbnails, subtitles, watermark, inputs, transition, audioFilters, tags, cover, coverUrl, uploads = {} }) {
+  const task = tasks.get(taskId);
+  if (!task) return;
+
+  if (!task.controller) task.controller = new AbortController();
+  const { signal } = task.controller;
+  const maxFileSize = task.maxFileSize || MAX_FILE_SIZE;
+  const dlHeaders = referer ? { 'Referer': referer } : {};
+  const onProgress = (phase, progress) => setTaskProgress(task, phase, progress);
+  const withDownloadSlot = fn => runInPool(pools.download, task, fn);
+  const withTranscodeSlot = fn => runInPool(pools.transcode, task, fn);
+
+  try {
+    // 相同来源与参数的结果已缓存时直接完成
+    const cached = task.cacheKey && cacheLookup(task.cacheKey, maxFileSize);
+    if (cached) {
+      Object.assign(task, { outputFile: cached.path, filename: cached.filename, entry: cached.entry, result: cached.result, cached: true });
+      cleanupTaskFiles(taskId);
+      setTaskStatus(task, 'done', { queue: null });
+      console.log(`[Task:${taskId}] 命中缓存: ${task.cacheKey}`);
+      return;
+    }
+
+    const video = { url: videoUrl, file: uploads.video };
+    const audio = { url: audioUrl, file: uploads.audio };
+    const useYtdlp = !video.file && Boolean(videoUrl) && needsYtdlp(videoUrl);
+    if (useYtdlp) await checkUrl(videoUrl);
+
+    // 水印：在各操作的视频结果上重新编码叠加，返回新文件；videoFilter 与水印在同一次编码中先作用于画面
+    const hasWatermark = Boolean(watermark || uploads.watermarkImage);
+    const withWatermark = async (file, videoFilter) => {
+      if (!hasWatermark) return file;
+      const options = parseWatermarkOptions(watermark || {}, Boolean(uploads.watermarkImage));
+      const prepared = await withDownloadSlot(() => prepareWatermark(options, { file: uploads.watermarkImage, videoUrl }, taskId, { signal, maxFileSize }));
+      const outputFile = path.join(TEMP_DIR, `${taskId}_watermarked.mp4`);
+      const settings = qualitySettings[quality] || qualitySettings.high;
+      await withTranscodeSlot(() => renderWatermark(file, outputFile, prepared, settings, { signal, task, videoFilter }));
+      cleanupFiles(file, prepared.file);
+      return outputFile;
+    };
+
+    // ---- action: download ----
+    if (action === 'download') {
+      if (useYtdlp) {
+        const outputFile = path.join(TEMP_DIR, `${taskId}_output.mp4`);
+
+        let formatArg;
+        if (formatId) {
+          if (videoOnly) {
+            // 仅视频：只下载指定格式，不合并音频
+            formatArg = formatId;
+          } else {
+            const hasAudioFormats = ['18', '22', '36', '17', '5', '6'];
+            formatArg = hasAudioFormats.includes(formatId) ? formatId : `${formatId}+bestaudio/best`;
+          }
+        } else {
+          formatArg = 'bestvideo+bestaudio/best';
+        }
+
+        console.log(`[Task:${taskId}] yt-dlp format: ${formatArg}`);
+
+        await withDownloadSlot(() => runYtdlp([
+          '-f', formatArg,
+          '--no-warnings',
+          '--no-playlist',
+          '--max-filesize', String(maxFileSize),
+          '--merge-output-format', 'mp4',
+          '-o', outputFile,
+          videoUrl
+        ], { tag: `Task:${taskId}`, onProgress, signal }));
+
+        task.outputFile = outputFile;
+        task.filename = 'video.mp4';
+      } else {
+        const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+        await withDownloadSlot(() => fetchInput(video, `${taskId}_input`, dlHeaders, { onProgress, signal, maxFileSize, variant }));
+        task.outputFile = inputFile;
+        task.filename = 'video.mp4';
+      }
+
+      // 与 /convert 一致，水印叠加在烧录的字幕之上；软字幕与单独字幕文件不改变画面，先加水印再封装
+      const subs = subtitles ? parseSubtitleOptions(subtitles) : null;
+      if (!subs || subs.mode !== 'burn') task.outputFile = await withWatermark(task.outputFile);
+
+      if (subs) {
+        if (video.file || !videoUrl || isDirectMediaUrl(videoUrl)) throw new Error('字幕仅支持 yt-dlp 可解析的页面 URL');
+
+        const videoFile = task.outputFile;
+        const tracks = await withDownloadSlot(() => downloadSubtitles(videoUrl, path.join(TEMP_DIR, `${taskId}_sub`), subs, { tag: `Task:${taskId}`, signal }));
+        const subtitleFiles = tracks.map(track => track.file);
+
+        if (subs.mode === 'soft') {
+          const outputFile = path.join(TEMP_DIR, `${taskId}_subbed.${subs.container}`);
+          await withTranscodeSlot(() => muxSubtitles(videoFile, tracks, outputFile, subs.container, { signal, task }));
+          cleanupFiles(videoFile, ...subtitleFiles);
+          task.outputFile = outputFile;
+          task.filename = `video.${subs.container}`;
+        } else if (subs.mode === 'burn') {
+          // 画面上只能烧录一种语言，取第一个可用的；有水印时字幕与水印一次编码完成
+          if (hasWatermark) {
+            task.outputFile = await withWatermark(videoFile, subtitlesFilter(tracks[0].file));
+          } else {
+            const outputFile = path.join(TEMP_DIR, `${taskId}_subbed.mp4`);
+            const settings = qualitySettings[quality] || qualitySettings.high;
+            await withTranscodeSlot(() => burnSubtitles(videoFile, tracks[0].file, outputFile, settings, { signal, task }));
+            cleanupFiles(videoFile);
+            task.outputFile = outputFile;
+          }
+          cleanupFiles(...subtitleFiles);
+          task.filename = 'video.mp4';
+        } else {
+          const outputDir = path.join(TEMP_DIR, `${taskId}_files`);
+          fs.mkdirSync(outputDir);
+          fs.renameSync(videoFile, path.join(outputDir, 'video.mp4'));
+          tracks.forEach(track => fs.renameSync(track.file, path.join(outputDir, `video.${track.lang}.${subs.format}`)));
+          task.outputFile = outputDir;
+          task.filename = 'video.zip';
+          task.entry = 'video.mp4';
+        }
+
+        task.result = { subtitles: tracks.map(track => track.lang) };
+      }
+    }
+
+    // ---- action: merge ----
+    else if (action === 'merge' && (audioUrl || audio.file)) {
+      const videoFile = path.join(TEMP_DIR, `${taskId}_video`);
+      const audioFile = path.join(TEMP_DIR, `${taskId}_audio`);
+      const outputFile = path.join(TEMP_DIR, `${taskId}_output.mp4`);
+
+      const partProgress = aggregateProgress(task);
+      await withDownloadSlot(() => Promise.all([
+        fetchInput(video, `${taskId}_video`, dlHeaders, { onProgress: partProgress('video'), signal, maxFileSize, variant }),
+        fetchInput(audio, `${taskId}_audio`, dlHeaders, { onProgress: partProgress('audio'), signal, maxFileSize, variant })
+      ]));
+
+      await withTranscodeSlot(() => new Promise((resolve, reject) => {
+        const command = ffmpeg(videoFile)
+          .input(audioFile)
+          .outputOptions(['-c:v copy', '-c:a aac', '-map 0:v:0', '-map 1:a:0', '-shortest']);
+        trackFfmpegProgress(killOnAbort(command, signal), task, 'merging')
+          .output(outputFile)
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      }));
+
+      // 清理中间文件
+      cleanupFiles(videoFile, audioFile);
+      task.outputFile = await withWatermark(outputFile);
+      task.filename = 'video.mp4';
+    }
+
+    // ---- action: trim ----
+    else if (action === 'trim' && trim) {
+      const format = ANIMATION_FORMATS.includes(trim.outputFormat) ? trim.outputFormat : 'mp4';
+      const options = parseTrimOptions(trim);
+      const archive = format === 'mp4' && options.ranges.length > 1 && !options.join;
+      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+      const output = path.join(TEMP_DIR, archive ? `${taskId}_clips` : `${taskId}_output.${format}`);
+
+      await withDownloadSlot(() => fetchInput(video, `${taskId}_input`, dlHeaders, { onProgress, signal, maxFileSize, variant }));
+
+      if (format === 'mp4') {
+        task.result = await withTranscodeSlot(() => trimVideo(inputFile, output, { ...options, quality }, { signal, task }));
+      } else {
+        const [range] = options.ranges;
+        await checkTrimRanges(inputFile, options.ranges);
+        const animation = { ...parseAnimationOptions(trim), start: range.start, duration: range.end - range.start, format };
+        task.result = await withTranscodeSlot(() => renderAnimation(inputFile, output, animation, { signal, task }));
+      }
+
+      cleanupFiles(inputFile);
+      if (archive) {
+        task.outputFile = output;
+        task.filename = 'clips.zip';
+        task.entry = task.result.files[0].file;
+      } else {
+        task.outputFile = format === 'mp4' ? await withWatermark(output) : output;
+        task.filename = format === 'mp4' ? 'video.mp4' : `animation.${format}`;
+      }
+    }
+
+    // ---- action: extract-audio ----
+    else if (action === 'extract-audio') {
+      const fmt = audioFormat || 'mp3';
+      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+      const outputFile = path.join(TEMP_DIR, `${taskId}_output.${fmt}`);
+
+      // YouTube URL 用 yt-dlp 下载最佳音频
+      if (useYtdlp) {
+        const ytdlpFormat = formatId || 'bestaudio';
+        console.log(`[Task:${taskId}] extract-audio via yt-dlp, format: ${ytdlpFormat}`);
+        await withDownloadSlot(() => runYtdlp([
+          '-f', ytdlpFormat,
+          '--no-warnings',
+          '--no-playlist',
+          '--max-filesize', String(maxFileSize),
+          '-o', inputFile,
+          videoUrl
+        ], { tag: `Task:${taskId}`, onProgress, signal }));
+      } else {
+        await withDownloadSlot(() => fetchInput(video, `${taskId}_input`, dlHeaders, { onProgress, signal, maxFileSize, variant }));
+      }
+
+      const processing = parseAudioOptions(audioFilters);
+      const tagging = parseTagOptions({ tags, cover, coverUrl }, fmt);
+      const result = await withTranscodeSlot(() => extractAudio(inputFile, outputFile, { format: fmt, bitrate: audioBitrate || 320, processing }, { signal, task }));
+
+      cleanupFiles(inputFile);
+      if (result) task.result = result;
+      task.outputFile = tagging
+        ? await withDownloadSlot(() => applyAudioTags(outputFile, fmt, tagging, videoUrl, taskId, { signal, maxFileSize }))
+        : outputFile;
+      task.filename = `audio.${fmt}`;
+    }
+
+    // ---- action: package-hls ----
+    else if (action === 'package-hls') {
+      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+      const outputDir = path.join(TEMP_DIR, `${taskId}_hls`);
+      const options = parseHlsOptions({ renditions, segmentDuration, quality, audioRendition });
+
+      await withDownloadSlot(() => fetchInput(video, `${taskId}_input`, dlHeaders, { onProgress, signal, maxFileSize, variant }));
+      const sourceFile = await withWatermark(inputFile);
+      const result = await withTranscodeSlot(() => packageHls(sourceFile, outputDir, options, { signal, task }));
+
+      cleanupFiles(sourceFile);
+      task.outputFile = outputDir;
+      task.filename = 'hls.zip';
+      task.entry = 'master.m3u8';
+      task.result = result;
+    }
+
+    // ---- action: thumbnails ----
+    else if (action === 'thumbnails') {
+      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
+      const outputDir = path.join(TEMP_DIR, `${taskId}_thumbnails`);
+      const options = parseThumbnailOptions(thumbnails);
+
+      await withDownloadSlot(() => fetchInput(video, `${taskId}_input`, dlHeaders, { onProgress, signal, maxFileSize, variant }));
+      const result = await withTranscodeSlot(() => generateThumbnails(inputFile, outputDir, options, { signal, task }));
+
+      cleanupFiles(inputFile);
+      task.outputFile = outputDir;
+      task.filename = 'thumbnails.zip';
+      task.entry = result.vtt || result.frames[0].file;
+      task.result = result;
+    }
+
+    // ---- action: concat ----
+    else if (action === 'concat') {
+      const options = parseConcatOptions({ inputs, transition, quality });
+      const inputFiles = options.clips.map((_, i) => path.join(TEMP_DIR, `${taskId}_clip${i}`));
+      const outputFile = path.join(TEMP_DIR, `${taskId}_concat.mp4`);
+
+      const partProgress = aggregateProgress(task);
+      // 只占一个下载槽位，片段逐个下载，不超过 DOWNLOAD_CONCURRENCY
+      await withDownloadSlot(() => mapLimit(options.clips.map((clip, i) => ({ clip, i })), 1, signal, ({ clip, i }, clipSignal) =>
+        fetchInput({ url: clip.url }, `${taskId}_clip${i}`, dlHeaders, { onProgress: partProgress(`clip${i}`), signal: clipSignal, maxFileSize, variant })
+      ));
+      const result = await withTranscodeSlot(() => concatClips(inputFiles, outputFile, options, { signal, task }));
+
+      cleanupFiles(...inputFiles);
+      task.outputFile = await withWatermark(outputFile);
+      task.filename = 'concat.mp4';
+      task.result = result;
+    }
+
+    else {
+      throw new Error('不支持的操作');
+    }
+
+    if (signal.aborted) throw abortError();
+
+    if (task.cacheKey) {
+      try {
+        cacheStore(task);
+      } catch (error) {
+        // 缓存失败不影响任务结果
+        console.warn(`[Cache] 写入失败: ${error.message}`);
+      }
+    }
+
+    setTaskStatus(task, 'done', { queue: null });
+    console.log(`[Task:${taskId}] 完成: ${task.outputFile}`);
+
+  } catch (error) {
+    // 取消：状态已由 DELETE /task/:taskId 设置，这里只清理文件
+    if (signal.aborted) {
+      console.log(`[Task:${taskId}] 已取消`);
+      cleanupTaskFiles(taskId);
+      return;
+    }
+    console.error(`[Task:${taskId}] 失败:`, error.message);
+    setTaskStatus(task, 'error', { error: error.message });
+  }
+}
+
+// ==================== 结果缓存 ====================
+
+// 不影响输出内容的请求字段，不参与缓存键
+const CACHE_IGNORED_FIELDS = ['callbackUrl', 'callbackSecret', 'priority', 'referer', 'playlist', 'uploads'];
+
+// 与 runDownloadTask 一致的参数默认值，计算缓存键前补齐
+const CACHE_PARAM_DEFAULTS = { action: 'download', quality: 'high', audioFormat: 'mp3', audioBitrate: 320, cover: true };
+
+// 只有 extract-audio 读取的参数
+const AUDIO_ONLY_FIELDS = ['audioFormat', 'audioBitrate', 'audioFilters', 'tags', 'cover', 'coverUrl'];
+
+/**
+ * 缓存索引：key → { key, path, filename, entry, result, size, lastAccess }
+ * Map 按访问顺序排列（最近访问的在最后），超出 CACHE_MAX_SIZE 时从头淘汰
+ * 每个条目在磁盘上是 CACHE_DIR/<key>/ 目录：结果文件（或目录）+ meta.json
+ */
+const resultCache = new Map();
+
+/**
+ * 规范化来源 URL：YouTube 归一为视频 ID，其他 URL 去掉片段与 utm_* 参数并排序查询参数
+ */
+function normalizeSourceUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  const site = detectSite(url);
+  if (site && site.platform === 'youtube') {
+    const id = parsed.hostname.endsWith('youtu.be')
+      ? parsed.pathname.slice(1)
+      : parsed.searchParams.get('v') || (parsed.pathname.match(/^\/(?:shorts|embed|live)\/([^/]+)/) || [])[1];
+    if (id) return `youtube:${id}`;
+  }
+
+  parsed.hash = '';
+  [...parsed.searchParams.keys()].filter(key => key.startsWith('utm_')).forEach(key => parsed.searchParams.delete(key));
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
+
+/**
+ * 统一参数取值：数字字符串转数字，'true' / 'false' 转布尔，去掉空值
+ * 使 multipart 与 JSON 提交的相同参数得到相同的键
+ */
+function canonicalValue(value) {
+  if (Array.isArray(value)) return value.map(canonicalValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item != null && item !== '')
+      .map(([key, item]) => [key, canonicalValue(item)]));
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+  return value;
+}
+
+/**
+ * 键排序后的 JSON，保证相同参数得到相同字符串
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算文件的 SHA-256
+ */
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * 任务请求的缓存键：规范化的来源 URL（上传文件取内容哈希）+ 规范化的处理参数
+ * 参数补齐默认值、统一类型，去掉当前操作不读取的音频参数
+ * 缓存关闭或结果不可复用（水印含 {now}）时返回 null
+ */
+async function resultCacheKey(request) {
+  if (!RESULT_CACHE) return null;
+  if (request.watermark && String(request.watermark.text || '').includes('{now}')) return null;
+
+  const params = { ...CACHE_PARAM_DEFAULTS };
+  for (const [key, value] of Object.entries(request)) {
+    if (CACHE_IGNORED_FIELDS.includes(key) || value == null || value === '') continue;
+    // 标签原样写入文件，不做类型转换
+    params[key] = key === 'tags' ? value : canonicalValue(value);
+  }
+  if (!qualitySettings[params.quality]) params.quality = CACHE_PARAM_DEFAULTS.quality;
+  if (!params.audioBitrate) params.audioBitrate = CACHE_PARAM_DEFAULTS.audioBitrate;
+  if (params.action !== 'extract-audio') AUDIO_ONLY_FIELDS.forEach(key => delete params[key]);
+  for (const key of ['videoUrl', 'audioUrl', 'coverUrl']) {
+    if (params[key]) params[key] = normalizeSourceUrl(params[key]);
+  }
+  if (Array.isArray(params.inputs)) {
+    params.inputs = params.inputs.map(input => input && input.url ? { ...input, url: normalizeSourceUrl(input.url) } : input);
+  }
+  for (const [name, file] of Object.entries(request.uploads || {})) {
+    params[`upload:${name}`] = `sha256:${await hashFile(file)}`;
+  }
+
+  return crypto.createHash('sha256').update(stableStringify(params)).digest('hex');
+}
+
+/**
+ * 结果是否位于缓存目录（下载后不删除，由 LRU 淘汰）
+ */
+function isCachedOutput(file) {
+  return Boolean(file) && file.startsWith(CACHE_DIR + path.sep);
+}
+
+function writeCacheMeta(entry) {
+  const { path: output, ...meta } = entry;
+  fs.writeFileSync(path.join(CACHE_DIR, entry.key, 'meta.json'), JSON.stringify({ ...meta, output: path.basename(output) }));
+}
+
+/**
+ * 查找缓存：命中时移到 LRU 末尾；结果超过 maxFileSize 时不复用
+ */
+function cacheLookup(key, maxFileSize = MAX_FILE_SIZE) {
+  const entry = resultCache.get(key);
+  if (!entry) return null;
+  if (!fs.existsSync(entry.path)) {
+    dropCacheEntry(key);
+    return null;
+  }
+  if (entry.size > maxFileSize) return null;
+
+  resultCache.delete(key);
+  entry.lastAccess = Date.now();
+  resultCache.set(key, entry);
+  writeCacheMeta(entry);
+  return entry;
+}
+
+/**
+ * 把已完成任务的结果移入缓存，task.outputFile 改为缓存中的路径
+ */
+function cacheStore(task) {
+  const stat = fs.statSync(task.outputFile);
+  const size = stat.isDirectory() ? directorySize(task.outputFile) : stat.size;
+  if (size > CACHE_MAX_SIZE) return;
+
+  const dir = path.join(CACHE_DIR, task.cacheKey);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const output = path.join(dir, path.basename(task.outputFile).replace(`${task.id}_`, ''));
+  fs.renameSync(task.outputFile, output);
+
+  const entry = {
+    key: task.cacheKey,
+    path: output,
+    filename: task.filename,
+    entry: task.entry,
+    result: task.result,
+    size,
+    lastAccess: Date.now(),
+  };
+  writeCacheMeta(entry);
+  resultCache.delete(entry.key);
+  resultCache.set(entry.key, entry);
+
+  task.outputFile = output;
+  // 中间文件不再需要
+  cleanupTaskFiles(task.id);
+  evictResultCache();
+}
+
+function dropCacheEntry(key) {
+  resultCache.delete(key);
+  cleanupFiles(path.join(CACHE_DIR, key));
+}
+
+/**
+ * 按 LRU 淘汰缓存直到总大小不超过 CACHE_MAX_SIZE
+ * 仍被进行中或已完成的任务引用（客户端可能还没下载）的条目跳过，任务过期后再淘汰
+ */
+function evictResultCache() {
+  for (const [key, entry] of resultCache) {
+    if (!fs.existsSync(entry.path)) dropCacheEntry(key);
+  }
+
+  let total = [...resultCache.values()].reduce((sum, entry) => sum + entry.size, 0);
+  if (total <= CACHE_MAX_SIZE) return;
+
+  const pinned = new Set([...tasks.values()]
+    .filter(task => task.status === 'done' || !TERMINAL_STATUSES.includes(task.status))
+    .map(task => task.outputFile));
+  for (const [key, entry] of resultCache) {
+    if (total <= CACHE_MAX_SIZE) break;
+    if (pinned.has(entry.path)) continue;
+    dropCacheEntry(key);
+    total -= entry.size;
+    console.log(`[Cache] 淘汰: ${key} (${formatBytes(entry.size)})`);
+  }
+}
+
+/**
+ * 启动时从 CACHE_DIR 重建索引，缺少 meta.json 或结果文件的目录直接删除
+ * 需在 restoreTasks 之前调用（重新执行的任务会查缓存），淘汰放在任务恢复之后
+ */
+function loadResultCache() {
+  if (!RESULT_CACHE) return;
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+  const entries = [];
+  for (const key of fs.readdirSync(CACHE_DIR)) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, key, 'meta.json'), 'utf8'));
+      const output = path.join(CACHE_DIR, key, meta.output);
+      if (!fs.existsSync(output)) throw new Error('结果文件不存在');
+      const entry = { ...meta, key, path: output };
+      delete entry.output;
+      entries.push(entry);
+    } catch (e) {
+      cleanupFiles(path.join(CACHE_DIR, key));
+    }
+  }
+
+  entries.sort((a, b) => a.lastAccess - b.lastAccess).forEach(entry => resultCache.set(entry.key, entry));
+  if (resultCache.size) console.log(`[Cache] 恢复缓存 ${resultCache.size} 条`);
+}
+
+/**
+ * 缓存统计（/health）
+ */
+function cacheStats() {
+  return {
+    enabled: RESULT_CACHE,
+    entries: resultCache.size,
+    size: [...resultCache.values()].reduce((sum, entry) => sum + entry.size, 0),
+    maxSize: CACHE_MAX_SIZE,
+  };
+}
+
+// ==================== 批量任务 ====================
+
+// 可以批量执行的操作（每个条目对应一个 videoUrl）
+const BATCH_ACTIONS = ['download', 'extract-audio', 'trim', 'package-hls', 'thumbnails'];
+
+/**
+ * 是否为批量请求（playlist: true 或分页参数 { offset, limit }）
+ */
+function isBatchRequest(request) {
+  return Boolean(request && request.playlist && request.playlist !== 'false');
+}
+
+/**
+ * 子任务结果在 zip 中的名称：序号 + 标题（去掉文件名中的非法字符）
+ */
+function batchEntryName(index, title) {
+  const name = String(title || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim().slice(0, 80) || 'untitled';
+  return `${String(index + 1).padStart(3, '0')} ${name}`;
+}
+
+/**
+ * 还能创建的任务数：API Key 并发余量（未结束的任务，含批量父任务）与全局排队余量取较小值
+ * 批量任务的子任务同样计入这两个限制
+ */
+function taskCapacity(apiKeyId) {
+  let capacity = MAX_QUEUE_SIZE - queuedCount();
+  const config = apiKeyId && [...apiKeys.values()].find(item => item.id === apiKeyId);
+  if (config) {
+    const running = [...tasks.values()].filter(t => t.apiKey === apiKeyId && !TERMINAL_STATUSES.includes(t.status)).length;
+    capacity = Math.min(capacity, config.maxConcurrentTasks - running);
+  }
+  return Math.max(0, capacity);
+}
+
+/**
+ * 批量任务中已完成且文件仍存在的子任务结果 [{ path, name }]
+ */
+function batchSources(task) {
+  return (task.children || []).flatMap((entry, index) => {
+    const child = tasks.get(entry.taskId);
+    if (!child || child.status !== 'done' || !child.outputFile || !fs.existsSync(child.outputFile)) return [];
+    const name = batchEntryName(index, entry.title);
+    return [{ path: child.outputFile, name: child.entry ? name : `${name}${path.extname(child.filename || '')}` }];
+  });
+}
+
+/**
+ * 任务结果是否仍然存在（批量任务看子任务的文件）
+ */
+function taskFileExists(task) {
+  if (task.children) return batchSources(task).length > 0;
+  return Boolean(task.outputFile && fs.existsSync(task.outputFile));
+}
 
-  } catch (error) {
-    cleanupFiles(inputFile);
-    res.status(500).json({ error: error.message });
-  }
-});
+/**
+ * 批量任务的子任务汇总（GET /task/:taskId 中的 batch 字段）
+ */
+function batchSummary(task) {
+  const entries = task.children.map(entry => {
+    const child = tasks.get(entry.taskId);
+    return { taskId: entry.taskId, title: entry.title, status: child ? child.status : entry.status };
+  });
+  const count = (...statuses) => entries.filter(entry => statuses.includes(entry.status)).length;
+
+  return {
+    total: entries.length,
+    done: count('done'),
+    failed: count('error', 'interrupted'),
+    cancelled: count('cancelled'),
+    entries,
+  };
+}
 
-// ==================== 异步任务管理 ====================
+/**
+ * 汇总子任务进度：已结束的子任务按 100% 计，其余取当前阶段的百分比
+ */
+function batchPercent(task) {
+  const percents = task.children.map(entry => {
+    const child = tasks.get(entry.taskId);
+    if (!child || TERMINAL_STATUSES.includes(child.status)) return 100;
+    return child.status === 'processing' && child.progress.percent != null ? child.progress.percent : 0;
+  });
+  return percents.reduce((sum, percent) => sum + percent, 0) / percents.length;
+}
 
 /**
- * 任务状态存储（内存，重启后清空）
- * { taskId: { status: 'pending'|'processing'|'done'|'error', outputFile, filename, error, createdAt } }
+ * 新建任务并加入内存索引（调用方负责持久化）
  */
-const tasks = new Map();
+function createTask(taskId, request, fields = {}) {
+  const task = {
+    id: taskId,
+    status: 'pending',
+    phase: null,
+    progress: emptyProgress(),
+    outputFile: null,
+    filename: null,
+    error: null,
+    request,
+    controller: new AbortController(),
+    priority: 0,
+    apiKey: null,
+    maxFileSize: MAX_FILE_SIZE,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    ...fields,
+  };
+  tasks.set(taskId, task);
+  return task;
+}
 
 /**
- * 后台执行下载任务
+ * 后台执行批量任务
+ * 展开播放列表后每个视频创建一个子任务（共用请求中的其他参数），子任务照常排队执行
+ * 父任务汇总进度，子任务全部结束后至少一个成功即为 done，/file 返回所有结果的 zip
+ * 取消父任务时一并取消未结束的子任务
  */
-async function runDownloadTask(taskId, { videoUrl, formatId, audioUrl, action, trim, audioFormat, audioBitrate, referer, videoOnly }) {
+async function runBatchTask(taskId, request) {
   const task = tasks.get(taskId);
   if (!task) return;
 
-  task.status = 'processing';
-  const dlHeaders = referer ? { 'Referer': referer } : {};
+  if (!task.controller) task.controller = new AbortController();
+  const { signal } = task.controller;
+  const listeners = [];
+
+  const cancelChildren = () => {
+    for (const entry of task.children || []) {
+      const child = tasks.get(entry.taskId);
+      if (!child || TERMINAL_STATUSES.includes(child.status)) continue;
+      setTaskStatus(child, 'cancelled', { queue: null });
+      child.controller.abort();
+    }
+  };
 
   try {
-    // ---- action: download ----
-    if (action === 'download') {
-      if (needsYtdlp(videoUrl)) {
-        const outputFile = path.join(TEMP_DIR, `${taskId}_output.mp4`);
+    setTaskStatus(task, 'processing');
+    setTaskProgress(task, 'listing');
+
+    const { playlist, callbackUrl, callbackSecret, ...shared } = request;
+    await checkUrl(request.videoUrl);
+    const { offset, limit } = parsePlaylistOptions(typeof playlist === 'object' ? playlist : {});
+    if (!taskCapacity(task.apiKey)) throw new Error('任务额度不足，无法创建子任务');
+    const list = await fetchYtdlpPlaylist(request.videoUrl, { offset, limit: Math.min(limit, taskCapacity(task.apiKey)), signal });
+    if (signal.aborted) throw abortError();
+
+    const videos = list.entries.filter(entry => entry.type === 'video' && entry.url);
+    if (!videos.length) throw new Error('播放列表中没有视频');
+
+    // 列出条目期间额度可能已被占用，超出的条目不创建子任务
+    const entries = videos.slice(0, taskCapacity(task.apiKey));
+    if (!entries.length) throw new Error('任务额度不足，无法创建子任务');
+    console.log(`[Task:${taskId}] 播放列表 ${list.title}: ${entries.length} 个视频`);
+
+    task.result = { playlist: { id: list.id, title: list.title, total: list.total } };
+    if (entries.length < videos.length) task.result.skipped = videos.length - entries.length;
+    task.children = [];
+    for (const entry of entries) {
+      const childRequest = { ...shared, videoUrl: entry.url };
+      const child = createTask(uuidv4(), childRequest, {
+        parent: taskId,
+        priority: task.priority,
+        apiKey: task.apiKey,
+        maxFileSize: task.maxFileSize,
+        cacheKey: await resultCacheKey(childRequest),
+      });
+      taskStore.save(child);
+      task.children.push({ taskId: child.id, title: entry.title, url: entry.url, status: child.status });
+    }
+    taskStore.save(task);
+    setTaskProgress(task, 'batch', { percent: 0 });
+
+    await new Promise((resolve) => {
+      let lastUpdate = 0;
+      const update = (force) => {
+        if (TERMINAL_STATUSES.includes(task.status) || (!force && Date.now() - lastUpdate < 1000)) return;
+        lastUpdate = Date.now();
+        setTaskProgress(task, 'batch', { percent: batchPercent(task) });
+      };
+
+      for (const entry of task.children) {
+        const onEvent = (type, snapshot) => {
+          if (!TERMINAL_STATUSES.includes(type)) return update(false);
+          entry.status = snapshot.status;
+          taskStore.save(task);
+          update(true);
+          if (task.children.every(item => TERMINAL_STATUSES.includes(item.status))) resolve();
+        };
+        taskEvents.on(entry.taskId, onEvent);
+        listeners.push([entry.taskId, onEvent]);
+      }
 
-        let formatArg;
-        if (formatId) {
-          if (videoOnly) {
-            // 仅视频：只下载指定格式，不合并音频
-            formatArg = formatId;
-          } else {
-            const hasAudioFormats = ['18', '22', '36', '17', '5', '6'];
-            formatArg = hasAudioFormats.includes(formatId) ? formatId : `${formatId}+bestaudio/best`;
-          }
-        } else {
-          formatArg = 'bestvideo+bestaudio/best';
-        }
+      signal.addEventListener('abort', cancelChildren, { once: true });
+      for (const entry of task.children) {
+        runDownloadTask(entry.taskId, tasks.get(entry.taskId).request)
+          .catch(err => console.error(`[Task:${entry.taskId}] 未捕获错误:`, err));
+      }
+    });
 
-        console.log(`[Task:${taskId}] yt-dlp format: ${formatArg}`);
+    if (signal.aborted) throw abortError();
 
-        await new Promise((resolve, reject) => {
-          const ytdlp = spawn('yt-dlp', [
-            '-f', formatArg,
-            '--no-warnings',
-            '--no-playlist',
-            '--merge-output-format', 'mp4',
-            '-o', outputFile,
-            videoUrl
-          ]);
-          let stderr = '';
-          ytdlp.stdout.on('data', d => { if (d.toString().includes('[download]')) console.log(`[Task:${taskId}] ${d.toString().trim()}`); });
-          ytdlp.stderr.on('data', d => { stderr += d.toString(); });
-          ytdlp.on('error', err => reject(new Error(`yt-dlp 启动失败: ${err.message}`)));
-          ytdlp.on('close', code => code === 0 ? resolve() : reject(new Error(`yt-dlp 失败 (code ${code}): ${stderr}`)));
-        });
+    const summary = batchSummary(task);
+    if (!summary.done) throw new Error('所有子任务都失败了');
 
-        task.outputFile = outputFile;
-        task.filename = 'video.mp4';
-      } else {
-        const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-        await downloadFile(videoUrl, `${taskId}_input`, dlHeaders);
-        task.outputFile = inputFile;
-        task.filename = 'video.mp4';
-      }
+    task.filename = 'playlist.zip';
+    task.result = { ...task.result, done: summary.done, failed: summary.failed, cancelled: summary.cancelled };
+    setTaskStatus(task, 'done', { queue: null });
+    console.log(`[Task:${taskId}] 批量完成: ${summary.done}/${summary.total}`);
+
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`[Task:${taskId}] 已取消`);
+      return;
     }
+    console.error(`[Task:${taskId}] 失败:`, error.message);
+    cancelChildren();
+    setTaskStatus(task, 'error', { error: error.message });
+  } finally {
+    signal.removeEventListener('abort', cancelChildren);
+    listeners.forEach(([childId, onEvent]) => taskEvents.removeListener(childId, onEvent));
+  }
+}
 
-    // ---- action: merge ----
-    else if (action === 'merge' && audioUrl) {
-      const videoFile = path.join(TEMP_DIR, `${taskId}_video`);
-      const audioFile = path.join(TEMP_DIR, `${taskId}_audio`);
-      const outputFile = path.join(TEMP_DIR, `${taskId}_output.mp4`);
+// ==================== 任务回调 ====================
 
-      await Promise.all([
-        downloadFile(videoUrl, `${taskId}_video`, dlHeaders),
-        downloadFile(audioUrl, `${taskId}_audio`, dlHeaders)
-      ]);
+/**
+ * 发送 JSON POST 请求，返回状态码
+ */
+function postJson(url, body, headers = {}) {
+  const protocol = url.startsWith('https') ? https : http;
 
-      await new Promise((resolve, reject) => {
-        ffmpeg(videoFile)
-          .input(audioFile)
-          .outputOptions(['-c:v copy', '-c:a aac', '-map 0:v:0', '-map 1:a:0', '-shortest'])
-          .output(outputFile)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-      });
+  return new Promise((resolve, reject) => {
+    assertUrlAllowed(url);
 
-      // 清理中间文件
-      cleanupFiles(videoFile, audioFile);
-      task.outputFile = outputFile;
-      task.filename = 'video.mp4';
-    }
+    const request = protocol.request(url, {
+      method: 'POST',
+      lookup: policyLookup,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'getv-ffmpeg',
+        ...headers,
+      }
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
 
-    // ---- action: trim ----
-    else if (action === 'trim' && trim) {
-      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-      const outputFile = path.join(TEMP_DIR, `${taskId}_output.mp4`);
+    request.on('error', reject);
+    request.setTimeout(WEBHOOK_TIMEOUT, () => {
+      request.destroy(new Error('回调超时'));
+    });
+    request.end(body);
+  });
+}
 
-      await downloadFile(videoUrl, `${taskId}_input`, dlHeaders);
+/**
+ * 获取媒体时长（秒），失败返回 null
+ */
+function probeDuration(file) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(file, (err, data) => {
+      resolve(err ? null : (parseFloat(data.format.duration) || null));
+    });
+  });
+}
 
-      await new Promise((resolve, reject) => {
-        ffmpeg(inputFile)
-          .setStartTime(trim.start)
-          .setDuration(trim.end - trim.start)
-          .outputOptions(['-c copy', '-avoid_negative_ts make_zero'])
-          .output(outputFile)
-          .on('end', resolve)
-          .on('error', reject)
-          .run();
-      });
+/**
+ * 构建回调内容
+ */
+async function buildCallbackPayload(task) {
+  const payload = {
+    event: `task.${task.status}`,
+    taskId: task.id,
+    status: task.status,
+    error: task.error || null,
+    fileUrl: null,
+    filename: null,
+    size: null,
+    duration: null,
+    timestamp: Date.now(),
+  };
 
-      cleanupFiles(inputFile);
-      task.outputFile = outputFile;
-      task.filename = 'video.mp4';
+  if (task.status === 'done' && taskFileExists(task)) {
+    payload.fileUrl = signedFileUrl(task.callback.baseUrl, task.id);
+    payload.filename = task.filename;
+    if (task.children) {
+      payload.size = batchSources(task).reduce((sum, source) => {
+        const stat = fs.statSync(source.path);
+        return sum + (stat.isDirectory() ? directorySize(source.path) : stat.size);
+      }, 0);
+    } else if (task.entry) {
+      payload.filesUrl = `${task.callback.baseUrl}/task/${task.id}/files/${task.entry}`;
+      payload.size = directorySize(task.outputFile);
+      payload.duration = task.result && task.result.duration != null
+        ? task.result.duration
+        : await probeDuration(path.join(task.outputFile, task.entry));
+    } else {
+      payload.size = fs.statSync(task.outputFile).size;
+      payload.duration = await probeDuration(task.outputFile);
     }
+    payload.result = task.result || undefined;
+  }
 
-    // ---- action: extract-audio ----
-    else if (action === 'extract-audio') {
-      const fmt = audioFormat || 'mp3';
-      const inputFile = path.join(TEMP_DIR, `${taskId}_input`);
-      const outputFile = path.join(TEMP_DIR, `${taskId}_output.${fmt}`);
-
-      // YouTube URL 用 yt-dlp 下载最佳音频
-      if (needsYtdlp(videoUrl)) {
-        const ytdlpFormat = formatId || 'bestaudio';
-        console.log(`[Task:${taskId}] extract-audio via yt-dlp, format: ${ytdlpFormat}`);
-        await new Promise((resolve, reject) => {
-          const ytdlp = spawn('yt-dlp', [
-            '-f', ytdlpFormat,
-            '--no-warnings',
-            '--no-playlist',
-            '-o', inputFile,
-            videoUrl
-          ]);
-          let stderr = '';
-          ytdlp.stdout.on('data', d => { if (d.toString().includes('[download]')) console.log(`[Task:${taskId}] ${d.toString().trim()}`); });
-          ytdlp.stderr.on('data', d => { stderr += d.toString(); });
-          ytdlp.on('error', err => reject(new Error(`yt-dlp 启动失败: ${err.message}`)));
-          ytdlp.on('close', code => code === 0 ? resolve() : reject(new Error(`yt-dlp 失败 (code ${code}): ${stderr}`)));
-        });
-      } else {
-        await downloadFile(videoUrl, `${taskId}_input`, dlHeaders);
-      }
+  return payload;
+}
 
-      let command = ffmpeg(inputFile).noVideo();
-      if (fmt === 'mp3') {
-        command = command.outputOptions(['-c:a libmp3lame', `-b:a ${audioBitrate || 320}k`]);
-      } else if (fmt === 'm4a' || fmt === 'aac') {
-        command = command.outputOptions(['-c:a aac', `-b:a ${audioBitrate || 320}k`]);
-      } else if (fmt === 'wav') {
-        command = command.outputOptions(['-c:a pcm_s16le']);
-      }
+/**
+ * 投递回调，失败按指数退避重试（2s, 4s, 8s ...）
+ * 签名: X-GetV-Signature = sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ */
+async function deliverCallback(task) {
+  const { callback } = task;
+  const payload = await buildCallbackPayload(task);
+  const body = JSON.stringify(payload);
+
+  const headers = { 'X-GetV-Event': payload.event, 'X-GetV-Timestamp': String(payload.timestamp) };
+  if (callback.secret) {
+    const signature = crypto.createHmac('sha256', callback.secret)
+      .update(`${payload.timestamp}.${body}`)
+      .digest('hex');
+    headers['X-GetV-Signature'] = `sha256=${signature}`;
+  }
 
-      await new Promise((resolve, reject) => {
-        command.output(outputFile).on('end', resolve).on('error', reject).run();
-      });
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const record = { attempt, at: Date.now(), statusCode: null, error: null };
+    callback.attempts.push(record);
 
-      cleanupFiles(inputFile);
-      task.outputFile = outputFile;
-      task.filename = `audio.${fmt}`;
+    try {
+      record.statusCode = await postJson(callback.url, body, headers);
+      if (record.statusCode >= 200 && record.statusCode < 300) {
+        callback.delivered = true;
+        taskStore.save(task);
+        console.log(`[Callback:${task.id}] 投递成功 (${record.statusCode})`);
+        return;
+      }
+      record.error = `HTTP ${record.statusCode}`;
+    } catch (err) {
+      record.error = err.message;
     }
 
-    else {
-      throw new Error('不支持的操作');
+    taskStore.save(task);
+    console.error(`[Callback:${task.id}] 第 ${attempt} 次投递失败: ${record.error}`);
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, 2000 * 2 ** (attempt - 1)));
     }
-
-    task.status = 'done';
-    console.log(`[Task:${taskId}] 完成: ${task.outputFile}`);
-
-  } catch (error) {
-    console.error(`[Task:${taskId}] 失败:`, error.message);
-    task.status = 'error';
-    task.error = error.message;
   }
 }
 
+/**
+ * 任务结束时触发回调
+ */
+function scheduleCallback(task) {
+  const onEvent = (type) => {
+    if (!TERMINAL_STATUSES.includes(type)) return;
+    taskEvents.removeListener(task.id, onEvent);
+    deliverCallback(task).catch(err => console.error(`[Callback:${task.id}] 未捕获错误:`, err));
+  };
+  taskEvents.on(task.id, onEvent);
+}
+
 /**
  * 下载视频（异步任务模式）
  * POST /download
- * Body: { videoUrl, formatId, audioUrl, action, trim, audioFormat, audioBitrate, referer }
- * 立即返回 taskId，客户端轮询 GET /task/:taskId
+ * Body: { videoUrl, formatId, audioUrl, action, trim, audioFormat, audioBitrate, referer, variant, priority, callbackUrl, callbackSecret,
+ *         renditions, segmentDuration, quality, audioRendition, thumbnails, subtitles, watermark, inputs, transition, audioFilters, tags, cover, coverUrl, playlist }
+ * 也可以 multipart/form-data 上传 video / audio / watermarkImage 文件代替 URL
+ * playlist: true 或 { offset, limit } 时 videoUrl 为播放列表 / 频道，每个视频创建一个子任务
+ * 立即返回 taskId，客户端轮询 GET /task/:taskId 或订阅 GET /task/:taskId/events
+ * 相同来源与参数的任务正在进行时返回该任务的 taskId（deduplicated: true），已缓存的结果直接完成
  */
-app.post('/download', (req, res) => {
-  const { videoUrl, action = 'download', audioUrl } = req.body;
+app.post('/download', acceptUploads(['video', 'audio', 'watermarkImage']), async (req, res) => {
+  const { videoUrl, action = 'download', audioUrl, priority = 0, callbackUrl, callbackSecret } = req.body;
+  const batch = isBatchRequest(req.body);
 
-  if (!videoUrl) {
+  if (action !== 'concat' && !videoUrl && !req.uploads.video) {
     return res.status(400).json({ error: '缺少 videoUrl' });
   }
 
   // 提前校验 merge 必须有 audioUrl
-  if (action === 'merge' && !audioUrl) {
+  if (action === 'merge' && !audioUrl && !req.uploads.audio) {
     return res.status(400).json({ error: '不支持的操作' });
   }
 
+  let concatUrls = [];
+  try {
+    if (batch) {
+      if (!BATCH_ACTIONS.includes(action)) throw badRequest(`${action} 不支持批量处理`);
+      if (!videoUrl || Object.keys(req.uploads).length) throw badRequest('批量处理只支持播放列表 URL，不支持上传文件');
+      if (typeof req.body.playlist === 'object') parsePlaylistOptions(req.body.playlist);
+    }
+    if (action === 'package-hls') parseHlsOptions(req.body);
+    if (action === 'concat') concatUrls = parseConcatOptions(req.body).clips.map(clip => clip.url);
+    if (action === 'thumbnails') parseThumbnailOptions(req.body.thumbnails);
+    if (action === 'extract-audio') {
+      parseAudioOptions(req.body.audioFilters);
+      parseTagOptions(req.body, req.body.audioFormat || 'mp3');
+    }
+    const animated = action === 'trim' && req.body.trim && ANIMATION_FORMATS.includes(req.body.trim.outputFormat);
+    let clipArchive = false;
+    if (action === 'trim') {
+      const { ranges, join } = parseTrimOptions(req.body.trim);
+      if (animated && ranges.length > 1) throw badRequest('动图只支持单个剪辑范围');
+      if (animated) parseAnimationOptions(req.body.trim);
+      clipArchive = ranges.length > 1 && !join;
+    }
+    if (req.body.watermark || req.uploads.watermarkImage) {
+      parseWatermarkOptions(req.body.watermark || {}, Boolean(req.uploads.watermarkImage));
+      if (!['download', 'merge', 'trim', 'package-hls', 'concat'].includes(action) || animated || clipArchive) {
+        throw badRequest(`${animated ? '动图' : clipArchive ? '多段剪辑' : action} 不支持水印`);
+      }
+    }
+    if (req.body.subtitles) {
+      parseSubtitleOptions(req.body.subtitles);
+      if (action !== 'download') throw badRequest('字幕仅支持 download 操作');
+      if (!videoUrl || (!batch && isDirectMediaUrl(videoUrl))) throw badRequest('字幕仅支持 yt-dlp 可解析的页面 URL');
+    }
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  if (!isActionAllowed(req, action)) {
+    return res.status(403).json({ error: `无权执行操作: ${action}` });
+  }
+
+  if (req.apiKey) {
+    const running = [...tasks.values()].filter(t => t.apiKey === req.apiKey.id && !TERMINAL_STATUSES.includes(t.status));
+    if (running.length >= req.apiKey.maxConcurrentTasks) {
+      res.set('Retry-After', '30');
+      return res.status(429).json({ error: `同时进行的任务数超过限制 (${req.apiKey.maxConcurrentTasks})` });
+    }
+  }
+
+  try {
+    [videoUrl, audioUrl, callbackUrl, req.body.coverUrl, ...concatUrls].filter(Boolean).forEach(assertUrlAllowed);
+    [videoUrl, audioUrl, ...concatUrls].filter(Boolean).forEach(assertSiteEnabled);
+  } catch (error) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  let cacheKey = null;
+  if (!batch) {
+    try {
+      cacheKey = await resultCacheKey({ ...req.body, uploads: req.uploads });
+    } catch (error) {
+      return res.status(500).json({ error: `读取上传文件失败: ${error.message}` });
+    }
+  }
+
+  // 同一 Key 下相同的任务正在进行：共用该任务（回调地址不同时仍单独执行）
+  const apiKeyId = req.apiKey ? req.apiKey.id : null;
+  const inflight = cacheKey && [...tasks.values()].find(t =>
+    t.cacheKey === cacheKey && t.apiKey === apiKeyId && !TERMINAL_STATUSES.includes(t.status) &&
+    (!callbackUrl || (t.callback && t.callback.url === callbackUrl))
+  );
+  if (inflight) {
+    // 结果未能进入缓存时，/file 按共用的客户端数计数，全部下载后才删除
+    inflight.clients = (inflight.clients || 1) + 1;
+    taskStore.save(inflight);
+    console.log(`[Task:${inflight.id}] 合并相同请求`);
+    return res.json({ taskId: inflight.id, deduplicated: true });
+  }
+
+  if (queuedCount() >= MAX_QUEUE_SIZE) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ error: '任务队列已满，请稍后重试' });
+  }
+
+  // 批量任务本身占一个额度，至少还要能创建一个子任务
+  if (batch && taskCapacity(apiKeyId) < 2) {
+    res.set('Retry-After', '30');
+    return res.status(429).json({ error: '剩余任务额度不足，无法创建批量任务' });
+  }
+
   const taskId = uuidv4();
-  tasks.set(taskId, { status: 'pending', outputFile: null, filename: null, error: null, createdAt: Date.now() });
+
+  // 上传文件改为以 taskId 命名，随任务清理
+  const uploads = {};
+  for (const [name, file] of Object.entries(req.uploads)) {
+    uploads[name] = path.join(TEMP_DIR, `${taskId}_upload_${name}`);
+    fs.renameSync(file, uploads[name]);
+  }
+  req.uploads = {};
+  const request = { ...req.body, uploads };
+
+  const task = createTask(taskId, request, {
+    priority: Math.max(-10, Math.min(10, parseInt(priority) || 0)),
+    apiKey: apiKeyId,
+    maxFileSize: req.maxFileSize,
+    cacheKey,
+  });
+
+  if (callbackUrl) {
+    task.callback = {
+      url: callbackUrl,
+      secret: callbackSecret || WEBHOOK_SECRET,
+      customSecret: Boolean(callbackSecret),
+      baseUrl: PUBLIC_URL || `${req.protocol}://${req.get('host')}`,
+      delivered: false,
+      attempts: [],
+    };
+    scheduleCallback(task);
+  }
+  taskStore.save(task);
 
   // 异步执行，不等待
-  runDownloadTask(taskId, req.body).catch(err => console.error(`[Task:${taskId}] 未捕获错误:`, err));
+  const run = batch ? runBatchTask : runDownloadTask;
+  run(taskId, request).catch(err => console.error(`[Task:${taskId}] 未捕获错误:`, err));
 
   res.json({ taskId });
 });
 
+/**
+ * 按 ID 查找任务，启用鉴权时只能访问本 Key 创建的任务
+ */
+function findTask(req) {
+  const task = tasks.get(req.params.taskId);
+  if (!task) return null;
+  if (req.apiKey && task.apiKey !== req.apiKey.id) return null;
+  return task;
+}
+
 /**
  * 查询任务状态
  * GET /task/:taskId
  */
 app.get('/task/:taskId', (req, res) => {
-  const task = tasks.get(req.params.taskId);
+  const task = findTask(req);
   if (!task) return res.status(404).json({ error: '任务不存在' });
 
-  res.json({
-    taskId: req.params.taskId,
-    status: task.status,   // pending | processing | done | error
-    error: task.error || undefined,
+  res.json(taskSnapshot(task));
+});
+
+/**
+ * 取消任务
+ * DELETE /task/:taskId
+ * 中止下载请求、杀掉 yt-dlp / ffmpeg 进程并删除中间文件
+ */
+app.delete('/task/:taskId', (req, res) => {
+  const task = findTask(req);
+  if (!task) return res.status(404).json({ error: '任务不存在' });
+  if (TERMINAL_STATUSES.includes(task.status)) {
+    return res.status(409).json({ error: `任务已结束: ${task.status}` });
+  }
+
+  // 合并了多个相同请求的任务：只减少共用的客户端数，最后一个客户端取消时才中止
+  if (task.clients > 1) {
+    task.clients--;
+    taskStore.save(task);
+    console.log(`[Task:${task.id}] 一个客户端取消，剩余 ${task.clients} 个`);
+    return res.json({ ...taskSnapshot(task), detached: true });
+  }
+
+  console.log(`[Task:${task.id}] 取消`);
+  setTaskStatus(task, 'cancelled', { queue: null });
+  if (task.controller) task.controller.abort();
+
+  res.json(taskSnapshot(task));
+});
+
+/**
+ * 订阅任务事件（Server-Sent Events）
+ * GET /task/:taskId/events
+ * 先推送当前状态，之后推送 state / progress / done / error，任务结束后关闭连接
+ */
+app.get('/task/:taskId/events', (req, res) => {
+  const taskId = req.params.taskId;
+  const task = findTask(req);
+  if (!task) return res.status(404).json({ error: '任务不存在' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',   // 关闭反向代理缓冲
   });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('state', taskSnapshot(task));
+  if (TERMINAL_STATUSES.includes(task.status)) {
+    return res.end();
+  }
+
+  // 保活，防止代理断开空闲连接
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    taskEvents.removeListener(taskId, onEvent);
+  };
+
+  const onEvent = (type, data) => {
+    send(type, data);
+    if (TERMINAL_STATUSES.includes(type)) {
+      close();
+      res.end();
+    }
+  };
+
+  taskEvents.on(taskId, onEvent);
+  req.on('close', close);
 });
 
 /**
@@ -919,18 +5638,118 @@ app.get('/task/:taskId', (req, res) => {
  * GET /task/:taskId/file
  */
 app.get('/task/:taskId/file', (req, res) => {
-  const task = tasks.get(req.params.taskId);
+  const task = findTask(req);
   if (!task) return res.status(404).json({ error: '任务不存在' });
   if (task.status !== 'done') return res.status(400).json({ error: `任务状态: ${task.status}` });
-  if (!task.outputFile || !fs.existsSync(task.outputFile)) return res.status(404).json({ error: '文件不存在' });
+  if (!taskFileExists(task)) return res.status(404).json({ error: '文件不存在' });
+
+  // 批量任务：打包所有成功子任务的结果，发送后连同子任务一起清理
+  if (task.children) {
+    return sendZip(res, batchSources(task), task.filename, (err) => {
+      for (const entry of task.children) {
+        cleanupTaskFiles(entry.taskId);
+        removeTask(entry.taskId);
+      }
+      removeTask(task.id);
+      if (err) console.error('发送文件失败:', err);
+    });
+  }
 
-  res.download(task.outputFile, task.filename, (err) => {
-    cleanupFiles(task.outputFile);
-    tasks.delete(req.params.taskId);
+  // 缓存中的结果不删除，任务保留到过期；其他结果在所有共用该任务的客户端都下载后才删除
+  const send = task.entry ? sendDirectoryZip.bind(null, res) : res.download.bind(res);
+  send(task.outputFile, task.filename, (err) => {
     if (err) console.error('发送文件失败:', err);
+    if (isCachedOutput(task.outputFile)) return;
+
+    task.clients = (task.clients || 1) - 1;
+    if (task.clients > 0) {
+      taskStore.save(task);
+      return;
+    }
+    cleanupFiles(task.outputFile);
+    removeTask(req.params.taskId);
+  });
+});
+
+/**
+ * 浏览任务结果目录中的文件（HLS 打包结果可直接作为播放地址）
+ * GET /task/:taskId/files/*
+ */
+app.get('/task/:taskId/files/*', (req, res) => {
+  const task = findTask(req);
+  if (!task) return res.status(404).json({ error: '任务不存在' });
+  if (task.status !== 'done') return res.status(400).json({ error: `任务状态: ${task.status}` });
+  if (!task.entry || !fs.existsSync(task.outputFile)) return res.status(404).json({ error: '文件不存在' });
+
+  // root 限定在结果目录内，拒绝 ../ 越界访问
+  res.sendFile(req.params[0], { root: task.outputFile, dotfiles: 'deny' }, (err) => {
+    if (err && !res.headersSent) res.status(err.statusCode || 404).json({ error: '文件不存在' });
   });
 });
 
+/**
+ * 启动时恢复任务
+ * - done：结果文件仍存在则保留，否则删除任务
+ * - pending / processing：按 TASK_RECOVERY 标记为 interrupted 或重新执行（批量任务及其子任务总是标记为 interrupted）
+ * - 已结束但回调未送达的任务重新投递
+ */
+function restoreTasks() {
+  let restored = 0;
+
+  for (const record of taskStore.load()) {
+    const task = { ...record, phase: null, progress: emptyProgress() };
+
+    if (task.status === 'done' && !task.children && !taskFileExists(task)) {
+      taskStore.remove(task.id);
+      continue;
+    }
+
+    tasks.set(task.id, task);
+    restored++;
+
+    // 请求自带的 callbackSecret 没有保存，无法签名，这类回调重启后不再投递
+    let deliverable = Boolean(task.callback) && !task.callback.delivered;
+    if (task.callback) {
+      task.callback.secret = WEBHOOK_SECRET;
+      if (deliverable && task.callback.customSecret) {
+        console.warn(`[Callback:${task.id}] 回调密钥未保存，重启后不再投递`);
+        deliverable = false;
+      }
+    }
+
+    if (!TERMINAL_STATUSES.includes(task.status)) {
+      if (TASK_RECOVERY === 'requeue' && task.request && !task.parent && !isBatchRequest(task.request)) {
+        console.log(`[Task:${task.id}] 重启后重新执行`);
+        setTaskStatus(task, 'pending', { error: null });
+        if (deliverable) scheduleCallback(task);
+        runDownloadTask(task.id, task.request).catch(err => console.error(`[Task:${task.id}] 未捕获错误:`, err));
+        continue;
+      }
+      cleanupTaskFiles(task.id);
+      setTaskStatus(task, 'interrupted', { error: '服务重启，任务中断' });
+    }
+
+    if (deliverable) {
+      deliverCallback(task).catch(err => console.error(`[Callback:${task.id}] 未捕获错误:`, err));
+    }
+  }
+
+  // 批量任务的结果是子任务的文件，所有任务恢复后再检查
+  for (const task of [...tasks.values()]) {
+    if (task.children && task.status === 'done' && !taskFileExists(task)) {
+      removeTask(task.id);
+      restored--;
+    }
+  }
+
+  if (restored) console.log(`[TaskStore] 恢复任务 ${restored} 个`);
+}
+
+loadResultCache();
+restoreTasks();
+evictResultCache();
+measureTempDir();
+
 // 定时清理过期临时文件（每小时）
 setInterval(() => {
   const files = fs.readdirSync(TEMP_DIR);
@@ -939,12 +5758,26 @@ setInterval(() => {
 
   files.forEach(file => {
     const filePath = path.join(TEMP_DIR, file);
+    if (filePath === TASK_STORE_FILE || filePath === `${TASK_STORE_FILE}.tmp` || filePath === CACHE_DIR) return;
     const stat = fs.statSync(filePath);
     if (now - stat.mtimeMs > maxAge) {
-      fs.unlinkSync(filePath);
+      fs.rmSync(filePath, { recursive: true, force: true });
       console.log(`[Cleanup] 删除过期文件: ${file}`);
     }
   });
+
+  // 结果文件已被清理的任务、过期的失败任务一并删除
+  for (const [taskId, task] of tasks) {
+    const fileGone = task.status === 'done' && !taskFileExists(task);
+    const expired = TERMINAL_STATUSES.includes(task.status) && now - (task.updatedAt || task.createdAt) > maxAge;
+    if (fileGone || expired) {
+      removeTask(taskId);
+    }
+  }
+
+  // 过期任务释放的缓存条目可以淘汰了
+  evictResultCache();
+  measureTempDir();
 }, 60 * 60 * 1000);
 
 // 启动服务器
@@ -953,6 +5786,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`   Port: ${PORT}`);
   console.log(`   Temp: ${TEMP_DIR}`);
   console.log(`   Max file: ${MAX_FILE_SIZE / 1024 / 1024}MB`);
+  console.log(`   API keys: ${apiKeys.size || '未启用鉴权'}`);
 });
 
 module.exports = app;